@@ -2,6 +2,69 @@
 
 let artistsData = [];
 let isAuthenticated = false;
+let canCreatePlaylists = false;
+let appUser = null;
+let favoriteIds = new Set();
+let timeRange = 'medium_term';
+let currentView = 'top';
+let followingCursor = null;
+let currentMarket = 'global';
+let chartMarket = 'global';
+let marketNames = {};
+let chartGenres = [];
+let currentGenre = null;
+let listFilters = { sort: 'rank', genre: '', minPopularity: 0 };
+let searchTimer = null;
+let searchRequestId = 0;
+let tasteData = null;
+let playerQueue = [];
+let playerIndex = -1;
+let artistCommentsBefore = null;
+let artistCommentThreads = 0;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE = 300;
+
+// List views for Spotify-connected users
+const VIEWS = {
+  top: 'Your Top',
+  global: 'Global Top 50',
+  following: 'Following',
+  compare: 'Compare',
+  taste: 'Taste',
+  watchlist: 'My Watchlist',
+};
+
+// Views that need a Spotify login; the watchlist needs an app account instead
+const SPOTIFY_VIEWS = ['top', 'following', 'compare', 'taste'];
+
+// Views that take over the details panel's space too
+const WIDE_VIEWS = ['compare', 'taste'];
+
+// Sort orders for /api/artists; movement only exists on charts
+const SORT_OPTIONS = {
+  rank: 'Chart order',
+  popularity: 'Popularity',
+  followers: 'Followers',
+  name: 'Name',
+  movement: 'Biggest movers',
+};
+
+const MIN_POPULARITY_OPTIONS = [0, 50, 70, 90];
+
+const LIST_HEADERS = {
+  personal: '🎧 Your Top Artists',
+  global: '🌍 Global Top 50',
+  following: '💜 Following',
+  watchlist: '★ My Watchlist',
+};
+
+// Time ranges for personal top artists, as accepted by /api/artists
+const TIME_RANGES = {
+  short_term: 'Last 4 Weeks',
+  medium_term: 'Last 6 Months',
+  long_term: 'All Time',
+};
 
 // ============================================================================
 // AUTHENTICATION
@@ -20,6 +83,7 @@ async function checkAuthStatus() {
 
     const data = await response.json();
     isAuthenticated = data.authenticated;
+    canCreatePlaylists = Boolean(data.canCreatePlaylists);
     updateAuthUI();
     return data.authenticated;
   } catch (error) {
@@ -53,6 +117,7 @@ async function handleLogout() {
 
     if (data.success) {
       isAuthenticated = false;
+      tasteData = null;
       updateAuthUI();
       // Reload artists to show global chart
       loadArtists();
@@ -62,27 +127,225 @@ async function handleLogout() {
   }
 }
 
+// App account (comments/watchlist) session, separate from the Spotify login
+async function checkAppUser() {
+  try {
+    const response = await fetch('/api/auth/status');
+    const data = await response.json();
+    appUser = data.authenticated ? data.user : null;
+
+    if (appUser) {
+      const favoritesResponse = await fetch('/api/favorites');
+      const favorites = await favoritesResponse.json();
+      favoriteIds = new Set(favorites.success ? favorites.favorites.map((favorite) => favorite.artist_id) : []);
+    }
+  } catch (error) {
+    console.error('Error checking app account:', error);
+  }
+}
+
 // ============================================================================
-// ARTIST LOADING
+// ARTIST DISCUSSION
 // ============================================================================
 
-async function loadArtists() {
+// Comments are rendered by comments.js, which also owns the sign-in modal and
+// the page size. Paged like the comments board: { more: true } loads the next
+// page, and a reload keeps as many threads as are already on screen.
+async function loadArtistComments(artistId, { more = false } = {}) {
+  const container = document.getElementById('artistComments');
+  const loadMoreButton = document.getElementById('artistCommentsMore');
+  if (!container || (more && !artistCommentsBefore)) {
+    return;
+  }
+
+  const params = new URLSearchParams();
+  if (more) {
+    params.set('before', artistCommentsBefore);
+  } else {
+    params.set('limit', Math.min(Math.max(artistCommentThreads, COMMENTS_PAGE_SIZE), COMMENTS_PAGE_MAX));
+    container.textContent = 'Loading comments...';
+  }
+  loadMoreButton.disabled = true;
+
   try {
-    showLoading();
+    const response = await fetch(`/api/artists/${artistId}/comments?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load comments: ${response.status}`);
+    }
+    const data = await response.json();
+
+    // The user may have moved on to another artist in the meantime
+    if (document.querySelector('.artist-header')?.dataset.artistId !== artistId) {
+      return;
+    }
+
+    if (!more) {
+      container.innerHTML = '';
+      artistCommentThreads = 0;
+    }
+    artistCommentsBefore = data.nextBefore;
+    loadMoreButton.hidden = !data.nextBefore;
+
+    if (!more && !data.comments.length) {
+      container.textContent = 'No comments yet. Start the conversation!';
+      return;
+    }
+    artistCommentThreads += renderCommentThreads(data.comments, container, () => loadArtistComments(artistId));
+  } catch (error) {
+    console.error('Error loading artist comments:', error);
+    if (more) {
+      alert('Failed to load more comments. Please try again.');
+    } else {
+      container.textContent = 'Failed to load comments';
+    }
+  } finally {
+    loadMoreButton.disabled = false;
+  }
+}
+
+function bindArtistDiscussion(artist) {
+  const form = document.getElementById('artistCommentForm');
+  const titleInput = document.getElementById('artistCommentTitle');
+  const bodyInput = document.getElementById('artistCommentBody');
+
+  bindCommentForm(form, titleInput, bodyInput, `/api/artists/${artist.id}/comments`, () =>
+    loadArtistComments(artist.id)
+  );
+
+  document.getElementById('artistCommentsMore').addEventListener('click', () =>
+    loadArtistComments(artist.id, { more: true })
+  );
+
+  artistCommentsBefore = null;
+  artistCommentThreads = 0;
+  loadArtistComments(artist.id);
+}
+
+// ============================================================================
+// FAVORITES
+// ============================================================================
+
+// Star toggles only show for signed-in app accounts
+function renderFavoriteToggle(artistId) {
+  if (!appUser) {
+    return '';
+  }
+  const starred = favoriteIds.has(artistId);
+  return `
+    <button class="favorite-toggle ${starred ? 'active' : ''}" data-favorite-id="${escapeHtml(artistId)}"
+      aria-pressed="${starred}" title="${starred ? 'Remove from watchlist' : 'Add to watchlist'}">${starred ? '★' : '☆'}</button>
+  `;
+}
+
+function bindFavoriteToggles(container) {
+  container.querySelectorAll('.favorite-toggle').forEach((button) => {
+    button.addEventListener('click', (e) => {
+      // Cards select the artist on click
+      e.stopPropagation();
+      toggleFavorite(button.dataset.favoriteId);
+    });
+  });
+}
+
+async function toggleFavorite(artistId) {
+  const starred = favoriteIds.has(artistId);
+
+  try {
+    const response = starred
+      ? await fetch(`/api/favorites/${artistId}`, { method: 'DELETE' })
+      : await fetch('/api/favorites', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ artistId }),
+        });
+
+    if (response.status === 401) {
+      appUser = null;
+      favoriteIds = new Set();
+      showSessionExpired();
+      return;
+    }
+
+    // Removing an artist that's already gone still leaves it unstarred
+    const data = await response.json();
+    if (!data.success && !(starred && response.status === 404)) {
+      alert(data.error || 'Failed to update watchlist');
+      return;
+    }
+
+    if (starred) {
+      favoriteIds.delete(artistId);
+    } else {
+      favoriteIds.add(artistId);
+    }
+
+    // The same artist can have a star on its card and in the details panel
+    document.querySelectorAll(`.favorite-toggle[data-favorite-id="${artistId}"]`).forEach((button) => {
+      button.classList.toggle('active', !starred);
+      button.setAttribute('aria-pressed', String(!starred));
+      button.title = starred ? 'Add to watchlist' : 'Remove from watchlist';
+      button.textContent = starred ? '☆' : '★';
+    });
 
-    const response = await fetch('/api/artists');
+    if (currentView === 'watchlist') {
+      loadArtists();
+    }
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+  }
+}
+
+async function loadNewReleases() {
+  try {
+    const response = await fetch('/api/releases');
     const data = await response.json();
 
     if (data.success) {
-      artistsData = data.artists;
-      displayArtists(artistsData, data.source);
-    } else {
-      showError('Failed to load artists');
+      displayNewReleases(data.releases);
     }
   } catch (error) {
-    console.error('Error loading artists:', error);
-    showError('Error connecting to server');
+    console.error('Error loading new releases:', error);
+  }
+}
+
+// Fill the market picker; the URL wins over the session's default market
+async function loadMarkets() {
+  const marketSelect = document.getElementById('marketSelect');
+
+  try {
+    const response = await fetch('/api/markets');
+    const data = await response.json();
+
+    if (!data.success) {
+      return;
+    }
+
+    marketNames = Object.fromEntries(data.markets.map((market) => [market.code, market.name]));
+    marketSelect.innerHTML = `
+      <option value="global">🌍 Global</option>
+      ${data.markets
+        .map((market) => `<option value="${escapeHtml(market.code)}">${escapeHtml(market.name)}</option>`)
+        .join('')}
+    `;
+
+    const urlMarket = new URLSearchParams(window.location.search).get('market');
+    currentMarket = urlMarket && (urlMarket === 'global' || marketNames[urlMarket])
+      ? urlMarket
+      : data.defaultMarket;
+    marketSelect.value = currentMarket;
+  } catch (error) {
+    console.error('Error loading markets:', error);
+  }
+}
+
+function selectMarket(value) {
+  if (value === currentMarket) {
+    return;
   }
+
+  currentMarket = value;
+  setURLParam('market', value);
+  loadArtists();
 }
 
 // ============================================================================
@@ -92,39 +355,137 @@ async function loadArtists() {
 function displayArtists(artists, source = 'global') {
   const artistList = document.getElementById('artistList');
 
+  // Add header showing whether it's personal, global or followed artists
+  let headerText = LIST_HEADERS[source] || LIST_HEADERS.global;
+  if (source === 'global' && chartMarket !== 'global') {
+    headerText = `📍 Top 50 · ${marketNames[chartMarket] || chartMarket}`;
+  } else if (source === 'genre') {
+    headerText = `🏷️ Top ${formatGenre(currentGenre)}`;
+  }
+
+  // Sort and filter controls apply to /api/artists lists
+  const listControls = source === 'personal' || source === 'global'
+    ? `
+      <div class="list-controls">
+        <select class="list-control" id="sortSelect" aria-label="Sort artists">
+          ${Object.entries(SORT_OPTIONS)
+            .filter(([value]) => value !== 'movement' || source === 'global')
+            .map(
+              ([value, label]) => `
+            <option value="${value}" ${value === listFilters.sort ? 'selected' : ''}>${
+                value === 'rank' && source === 'personal' ? 'Your ranking' : label
+              }</option>
+          `
+            )
+            .join('')}
+        </select>
+        <select class="list-control" id="minPopularitySelect" aria-label="Minimum popularity">
+          ${MIN_POPULARITY_OPTIONS.map(
+            (value) => `
+            <option value="${value}" ${value === listFilters.minPopularity ? 'selected' : ''}>${
+              value === 0 ? 'Any popularity' : `⭐ ${value}+`
+            }</option>
+          `
+          ).join('')}
+        </select>
+        <input class="list-control" id="genreFilterInput" type="search" placeholder="Filter by genre"
+          value="${escapeHtml(listFilters.genre)}" maxlength="40">
+      </div>
+    `
+    : '';
+
+  // Downloads use the same filters as the list on screen
+  const exportParams = new URLSearchParams({ market: chartMarket });
+  if (listFilters.sort !== 'rank') exportParams.set('sort', listFilters.sort);
+  if (listFilters.genre) exportParams.set('genre', listFilters.genre);
+  if (listFilters.minPopularity) exportParams.set('minPopularity', String(listFilters.minPopularity));
+  const exportLinks = source === 'global'
+    ? `
+      <div class="export-links">
+        <a href="/api/artists.csv?${exportParams}" download>⬇ CSV</a>
+        <a href="/api/artists.json?${exportParams}" download>⬇ JSON</a>
+        <a href="/feed.xml?market=${chartMarket}" target="_blank" rel="noopener">📡 Feed</a>
+      </div>
+    `
+    : '';
+
+  // Genre charts sit alongside the blended chart
+  const genreChips = (source === 'global' || source === 'genre') && chartGenres.length > 0
+    ? `
+      <div class="genre-chips">
+        <button class="genre-chip ${!currentGenre ? 'active' : ''}" data-genre="">All</button>
+        ${chartGenres
+          .map(
+            (genre) => `
+          <button class="genre-chip ${genre === currentGenre ? 'active' : ''}" data-genre="${escapeHtml(genre)}">${escapeHtml(formatGenre(genre))}</button>
+        `
+          )
+          .join('')}
+      </div>
+    `
+    : '';
+
+  const viewTabs = renderViewTabs();
+
+  // Time range tabs only apply to personal top artists
+  const timeRangeTabs = source === 'personal' ? renderTimeRangeTabs() : '';
+
+  // Charts can be saved as a playlist of each artist's top track
+  const savePlaylistButton = isAuthenticated && (source === 'global' || source === 'genre')
+    ? '<button class="save-playlist-btn" id="saveChartPlaylist">＋ Save as playlist</button>'
+    : '';
+
+  const listHeader = `
+    <div class="list-header">
+      ${viewTabs}
+      <div class="list-title">
+        <h2>${escapeHtml(headerText)}</h2>
+        ${savePlaylistButton}
+      </div>
+      ${timeRangeTabs}
+      ${genreChips}
+      ${listControls}
+      ${exportLinks}
+    </div>
+  `;
+
   if (!artists || artists.length === 0) {
-    artistList.innerHTML = '<p class="no-data">No artists found</p>';
+    const emptyMessage = source === 'watchlist'
+      ? 'Star an artist to add them to your watchlist'
+      : 'No artists found';
+    artistList.innerHTML = `${listHeader}<p class="no-data">${emptyMessage}</p>`;
+    bindListHeaderControls();
     return;
   }
 
-  // Add header showing whether it's personal or global
-  const headerText = source === 'personal' 
-    ? '🎧 Your Top Artists' 
-    : '🌍 Global Top 50';
+  // Followed artists are paged by cursor
+  const loadMoreButton = source === 'following' && followingCursor
+    ? '<button class="load-more-button" id="loadMoreButton">Load more</button>'
+    : '';
 
   artistList.innerHTML = `
-    <div class="list-header">
-      <h2>${headerText}</h2>
-    </div>
+    ${listHeader}
     ${artists
       .map(
         (artist) => `
-      <div class="artist-card" data-artist-id="${artist.id}">
+      <div class="artist-card" data-artist-id="${escapeHtml(artist.id)}">
         <div class="artist-card-image">
           ${
             artist.images && artist.images.length > 0
-              ? `<img src="${artist.images[artist.images.length - 1].url}" alt="${artist.name}">`
-              : `<div class="no-image">${artist.name.charAt(0)}</div>`
+              ? `<img src="${escapeHtml(artist.images[artist.images.length - 1].url)}" alt="${escapeHtml(artist.name)}">`
+              : `<div class="no-image">${escapeHtml(artist.name.charAt(0))}</div>`
           }
         </div>
         <div class="artist-card-content">
-          <h3 class="artist-card-name">${artist.name}</h3>
+          <h3 class="artist-card-name">${escapeHtml(artist.name)}</h3>
+          ${renderFavoriteToggle(artist.id)}
           <p class="artist-card-genre">${
             artist.genres && artist.genres.length > 0
-              ? artist.genres.slice(0, 2).join(', ')
+              ? escapeHtml(artist.genres.slice(0, 2).join(', '))
               : 'Artist'
           }</p>
           <div class="artist-stats">
+            ${renderMovementBadge(artist.movement)}
             <span>⭐ ${artist.popularity || 'N/A'}</span>
             ${artist.followers ? `<span>👥 ${formatNumber(artist.followers.total || artist.followers)}</span>` : ''}
           </div>
@@ -133,6 +494,7 @@ function displayArtists(artists, source = 'global') {
     `
       )
       .join('')}
+    ${loadMoreButton}
   `;
 
   // Add event listeners to all artist cards
@@ -142,12 +504,382 @@ function displayArtists(artists, source = 'global') {
       selectArtist(artistId);
     });
   });
+
+  bindFavoriteToggles(artistList);
+
+  const loadMore = document.getElementById('loadMoreButton');
+  if (loadMore) {
+    loadMore.addEventListener('click', () => {
+      loadMore.disabled = true;
+      loadMore.textContent = 'Loading...';
+      loadFollowing(followingCursor);
+    });
+  }
+
+  bindListHeaderControls();
+}
+
+// Your top artists and the chart side by side, shared artists highlighted
+function displayComparison(data) {
+  const artistList = document.getElementById('artistList');
+  const chartName = chartMarket === 'global' ? 'Global Top 50' : `${marketNames[chartMarket] || chartMarket} Top 50`;
+
+  const renderColumn = (title, artists, otherName) => `
+    <div class="compare-column">
+      <h3>${escapeHtml(title)}</h3>
+      <ol class="compare-list">
+        ${artists
+          .map(
+            (artist) => `
+          <li class="compare-row ${artist.shared ? 'shared' : ''}" data-artist-id="${escapeHtml(artist.id)}">
+            <span class="compare-rank">${artist.rank}</span>
+            ${
+              artist.images.length > 0
+                ? `<img src="${escapeHtml(artist.images[artist.images.length - 1].url)}" alt="" class="compare-image">`
+                : `<div class="compare-image no-image">${escapeHtml(artist.name.charAt(0))}</div>`
+            }
+            <span class="compare-name">${escapeHtml(artist.name)}</span>
+            ${artist.shared ? `<span class="compare-other-rank" title="#${artist.otherRank} in ${escapeHtml(otherName)}">#${artist.otherRank}</span>` : ''}
+          </li>
+        `
+          )
+          .join('')}
+      </ol>
+    </div>
+  `;
+
+  artistList.innerHTML = `
+    <div class="list-header">
+      ${renderViewTabs()}
+      <h2>⚖️ You vs ${escapeHtml(chartName)}</h2>
+      ${renderTimeRangeTabs()}
+    </div>
+
+    <div class="compare-summary">
+      <div class="meta-item mainstream-score">
+        <strong>${data.mainstreamScore}</strong>
+        <span>Mainstream score</span>
+      </div>
+      <div class="meta-item">
+        <strong>${data.shared.length}</strong>
+        <span>Shared</span>
+      </div>
+      <div class="meta-item">
+        <strong>${data.uniqueToYou.length}</strong>
+        <span>Only yours</span>
+      </div>
+      <div class="meta-item">
+        <strong>${data.averagePopularity}</strong>
+        <span>Avg. popularity</span>
+      </div>
+    </div>
+
+    <div class="compare-columns">
+      ${renderColumn('🎧 Your Top Artists', data.personal, chartName)}
+      ${renderColumn(`🌍 ${chartName}`, data.chart, 'your top artists')}
+    </div>
+  `;
+
+  bindListHeaderControls();
+
+  artistList.querySelectorAll('.compare-row').forEach((row) => {
+    const partners = artistList.querySelectorAll(`.compare-row[data-artist-id="${row.dataset.artistId}"]`);
+    row.addEventListener('mouseenter', () => partners.forEach((partner) => partner.classList.add('highlight')));
+    row.addEventListener('mouseleave', () => partners.forEach((partner) => partner.classList.remove('highlight')));
+    row.addEventListener('click', () => selectArtist(row.dataset.artistId));
+  });
+}
+
+// Taste profile: genre bars, obscurity meter, follower tiers and how the
+// user's taste moved between time ranges. Bar sizes go in data-width and are
+// applied from script, since the CSP doesn't allow inline style attributes.
+function displayTasteProfile(data) {
+  const artistList = document.getElementById('artistList');
+  const profile = data.ranges[timeRange];
+  const topShare = profile.genres.length > 0 ? profile.genres[0].share : 0;
+
+  const genreBars = profile.genres.length > 0
+    ? profile.genres
+        .map(
+          (genre) => `
+        <div class="taste-bar-row">
+          <span class="taste-bar-label">${escapeHtml(formatGenre(genre.genre))}</span>
+          <div class="taste-bar-track">
+            <div class="taste-bar" data-width="${topShare ? (genre.share / topShare) * 100 : 0}"></div>
+          </div>
+          <span class="taste-bar-value">${genre.share}%</span>
+        </div>
+      `
+        )
+        .join('')
+    : '<p class="no-data">Spotify has no genres for these artists</p>';
+
+  const tierSegments = profile.followerTiers
+    .filter((tier) => tier.count > 0)
+    .map(
+      (tier) => `
+      <div class="tier-segment tier-${tier.id}" data-width="${(tier.count / profile.artistCount) * 100}"
+        title="${tier.label} followers: ${tier.count} artists"></div>
+    `
+    )
+    .join('');
+
+  const tierLegend = profile.followerTiers
+    .map(
+      (tier) => `
+      <span class="tier-legend-item"><span class="tier-swatch tier-${tier.id}"></span>${tier.label} · ${tier.count}</span>
+    `
+    )
+    .join('');
+
+  const rangeRows = Object.entries(TIME_RANGES)
+    .map(
+      ([range, label]) => `
+      <div class="taste-bar-row ${range === timeRange ? 'current' : ''}">
+        <span class="taste-bar-label">${label}</span>
+        <div class="taste-bar-track">
+          <div class="taste-bar" data-width="${data.ranges[range].averagePopularity}"></div>
+        </div>
+        <span class="taste-bar-value">${data.ranges[range].averagePopularity}</span>
+      </div>
+    `
+    )
+    .join('');
+
+  const renderShiftList = (genres, sign) =>
+    genres.length > 0
+      ? `<ul class="shift-list">${genres
+          .map((genre) => `<li>${escapeHtml(formatGenre(genre.genre))} <span class="shift-${sign > 0 ? 'up' : 'down'}">${sign > 0 ? '▲' : '▼'} ${Math.abs(genre.change)} pts</span></li>`)
+          .join('')}</ul>`
+      : '<p class="no-data">Nothing yet</p>';
+
+  const popularityChange = data.shifts.popularityChange;
+  const shiftSummary = popularityChange === 0
+    ? 'Your recent artists are as popular as your all-time favourites.'
+    : `Your recent artists are ${Math.abs(popularityChange)} points ${popularityChange > 0 ? 'more mainstream' : 'more obscure'} than your all-time favourites.`;
+
+  artistList.innerHTML = `
+    <div class="list-header">
+      ${renderViewTabs()}
+      <h2>🧬 Your Taste Profile</h2>
+      ${renderTimeRangeTabs()}
+    </div>
+
+    ${
+      profile.artistCount === 0
+        ? '<p class="no-data">Not enough listening history for this time range yet</p>'
+        : `
+    <div class="taste-grid">
+      <section class="taste-card">
+        <h3>Obscurity</h3>
+        <div class="obscurity-meter">
+          <div class="obscurity-marker" data-left="${profile.obscurity}"></div>
+        </div>
+        <div class="obscurity-scale"><span>Mainstream</span><strong>${profile.obscurity}/100</strong><span>Underground</span></div>
+        <p class="taste-note">Your top ${profile.artistCount} artists average ${profile.averagePopularity} popularity on Spotify.</p>
+      </section>
+
+      <section class="taste-card">
+        <h3>Follower Tiers</h3>
+        <div class="tier-bar">${tierSegments}</div>
+        <div class="tier-legend">${tierLegend}</div>
+      </section>
+
+      <section class="taste-card taste-card-wide">
+        <h3>Top Genres</h3>
+        ${genreBars}
+      </section>
+
+      <section class="taste-card">
+        <h3>How Your Taste Shifted</h3>
+        <p class="taste-note">${shiftSummary}</p>
+        <div class="shift-columns">
+          <div><h4>Rising</h4>${renderShiftList(data.shifts.rising, 1)}</div>
+          <div><h4>Fading</h4>${renderShiftList(data.shifts.fading, -1)}</div>
+        </div>
+      </section>
+
+      <section class="taste-card">
+        <h3>Popularity by Time Range</h3>
+        ${rangeRows}
+      </section>
+    </div>
+  `
+    }
+  `;
+
+  artistList.querySelectorAll('[data-width]').forEach((element) => {
+    element.style.width = `${element.dataset.width}%`;
+  });
+  artistList.querySelectorAll('[data-left]').forEach((element) => {
+    element.style.left = `${element.dataset.left}%`;
+  });
+
+  bindListHeaderControls();
+}
+
+function isViewAvailable(view) {
+  if (SPOTIFY_VIEWS.includes(view)) {
+    return isAuthenticated;
+  }
+  if (view === 'watchlist') {
+    return Boolean(appUser);
+  }
+  return true;
+}
+
+// Switching views only makes sense with a Spotify account or app account
+function renderViewTabs() {
+  const views = Object.keys(VIEWS).filter(isViewAvailable);
+  if (views.length < 2) {
+    return '';
+  }
+
+  // Anything unavailable falls back to the global chart
+  const activeView = isViewAvailable(currentView) ? currentView : 'global';
+  return `
+    <div class="view-tabs">
+      ${views
+        .map(
+          (value) => `
+        <button class="view-tab ${value === activeView ? 'active' : ''}" data-view="${value}">${VIEWS[value]}</button>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+}
+
+function renderTimeRangeTabs() {
+  return `
+    <div class="time-range-tabs" role="tablist">
+      ${Object.entries(TIME_RANGES)
+        .map(
+          ([value, label]) => `
+        <button class="time-range-tab ${value === timeRange ? 'active' : ''}" role="tab"
+          aria-selected="${value === timeRange}" data-time-range="${value}">${label}</button>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+}
+
+function bindListHeaderControls() {
+  document.querySelectorAll('.view-tab').forEach((tab) => {
+    tab.addEventListener('click', () => selectView(tab.dataset.view));
+  });
+
+  document.querySelectorAll('.time-range-tab').forEach((tab) => {
+    tab.addEventListener('click', () => selectTimeRange(tab.dataset.timeRange));
+  });
+
+  document.querySelectorAll('.genre-chip').forEach((chip) => {
+    chip.addEventListener('click', () => selectGenre(chip.dataset.genre || null));
+  });
+
+  const saveChartPlaylist = document.getElementById('saveChartPlaylist');
+  if (saveChartPlaylist) {
+    saveChartPlaylist.addEventListener('click', () =>
+      savePlaylist({ source: 'chart', genre: currentGenre }, chartMarket, saveChartPlaylist)
+    );
+  }
+
+  const sortSelect = document.getElementById('sortSelect');
+  if (sortSelect) {
+    sortSelect.addEventListener('change', () => updateListFilters({ sort: sortSelect.value }));
+  }
+
+  const minPopularitySelect = document.getElementById('minPopularitySelect');
+  if (minPopularitySelect) {
+    minPopularitySelect.addEventListener('change', () =>
+      updateListFilters({ minPopularity: Number(minPopularitySelect.value) })
+    );
+  }
+
+  // 'change' rather than 'input': the list re-renders on every load, which
+  // would steal focus mid-word
+  const genreFilterInput = document.getElementById('genreFilterInput');
+  if (genreFilterInput) {
+    genreFilterInput.addEventListener('change', () =>
+      updateListFilters({ genre: normalizeGenreFilter(genreFilterInput.value) })
+    );
+  }
+}
+
+// Genre names are plain words; anything else is dropped, which also keeps the
+// value safe to put back into the filter input's markup
+function normalizeGenreFilter(value) {
+  return value.toLowerCase().replace(/[^a-z0-9 -]/g, '').trim().slice(0, 40);
+}
+
+function updateListFilters(changes) {
+  listFilters = { ...listFilters, ...changes };
+
+  // Defaults stay out of the URL so plain links stay plain
+  setURLParam('sort', listFilters.sort === 'rank' ? null : listFilters.sort);
+  setURLParam('genre', listFilters.genre || null);
+  setURLParam('minPopularity', listFilters.minPopularity ? String(listFilters.minPopularity) : null);
+  loadArtists();
+}
+
+function selectGenre(genre) {
+  if (genre === currentGenre || (genre && !chartGenres.includes(genre))) {
+    return;
+  }
+
+  currentGenre = genre;
+  setURLParam('chart', genre);
+  loadArtists();
+}
+
+function selectView(value) {
+  if (value === currentView || !VIEWS[value]) {
+    return;
+  }
+
+  currentView = value;
+  setURLParam('view', value === 'top' ? null : value);
+  loadArtists();
+}
+
+// Chart movement since the previous global chart refresh
+function renderMovementBadge(movement) {
+  if (!movement) {
+    return '';
+  }
+
+  switch (movement.status) {
+    case 'up':
+      return `<span class="movement-badge movement-up" title="Up ${movement.change} from #${movement.previousRank}">▲ ${movement.change}</span>`;
+    case 'down':
+      return `<span class="movement-badge movement-down" title="Down ${movement.change} from #${movement.previousRank}">▼ ${movement.change}</span>`;
+    case 'same':
+      return '<span class="movement-badge movement-same" title="No change">–</span>';
+    case 'new':
+      return '<span class="movement-badge movement-new" title="New entry">NEW</span>';
+    case 're-entry':
+      return '<span class="movement-badge movement-reentry" title="Back in the chart">RE</span>';
+    default:
+      return '';
+  }
+}
+
+function selectTimeRange(value) {
+  if (value === timeRange || !TIME_RANGES[value]) {
+    return;
+  }
+
+  timeRange = value;
+  // Keep the default out of the URL
+  setURLParam('timeRange', value === 'medium_term' ? null : value);
+  loadArtists();
 }
 
 async function selectArtist(artistId) {
   try {
     // Update selected state
-    document.querySelectorAll('.artist-card').forEach((card) => {
+    document.querySelectorAll('.artist-card, .compare-row').forEach((card) => {
       card.classList.remove('active');
     });
     const selectedCard = document.querySelector(`[data-artist-id="${artistId}"]`);
@@ -167,11 +899,13 @@ async function selectArtist(artistId) {
     }
 
     // Fetch detailed artist info
-    const response = await fetch(`/api/artists/${artistId}`);
+    const params = new URLSearchParams({ market: currentMarket });
+    const response = await fetch(`/api/artists/${artistId}?${params}`);
     const data = await response.json();
 
     if (data.success) {
-      displayArtistDetails(data.artist, data.topTracks);
+      displayArtistDetails(data.artist, data.topTracks, data.latestReleases);
+      loadRelatedArtists(artistId);
     } else {
       detailsPanel.innerHTML = '<div class="error">Failed to load artist details</div>';
     }
@@ -182,7 +916,7 @@ async function selectArtist(artistId) {
   }
 }
 
-function displayArtistDetails(artist, topTracks) {
+function displayArtistDetails(artist, topTracks, latestReleases) {
   const detailsPanel = document.getElementById('artistDetails');
 
   const headerImage = artist.images && artist.images.length > 0 ? artist.images[0].url : '';
@@ -190,15 +924,15 @@ function displayArtistDetails(artist, topTracks) {
   detailsPanel.innerHTML = `
     <button class="back-button" id="backButton">← Back to Artists</button>
     
-    <div class="artist-header">
+    <div class="artist-header" data-artist-id="${escapeHtml(artist.id)}">
       <div class="artist-header-content">
         ${
           headerImage
-            ? `<img src="${headerImage}" alt="${artist.name}" class="artist-header-image">`
-            : `<div class="artist-header-placeholder">${artist.name.charAt(0)}</div>`
+            ? `<img src="${escapeHtml(headerImage)}" alt="${escapeHtml(artist.name)}" class="artist-header-image">`
+            : `<div class="artist-header-placeholder">${escapeHtml(artist.name.charAt(0))}</div>`
         }
         <div class="artist-header-info">
-          <h2>${artist.name}</h2>
+          <h2>${escapeHtml(artist.name)} ${renderFavoriteToggle(artist.id)}</h2>
           <div class="artist-meta">
             <div class="meta-item">
               <strong>${formatNumber(artist.followers)}</strong>
@@ -213,12 +947,12 @@ function displayArtistDetails(artist, topTracks) {
             artist.genres && artist.genres.length > 0
               ? `
             <div class="artist-genre-tags">
-              ${artist.genres.map((genre) => `<span class="artist-genre-tag">${genre}</span>`).join('')}
+              ${artist.genres.map((genre) => `<span class="artist-genre-tag">${escapeHtml(genre)}</span>`).join('')}
             </div>
           `
               : ''
           }
-          <a href="${artist.spotify_url}" target="_blank" rel="noopener noreferrer" class="spotify-link">
+          <a href="${escapeHtml(artist.spotify_url)}" target="_blank" rel="noopener noreferrer" class="spotify-link">
             Open in Spotify →
           </a>
         </div>
@@ -226,23 +960,60 @@ function displayArtistDetails(artist, topTracks) {
     </div>
     
     ${
-      topTracks && topTracks.length > 0
+      latestReleases && latestReleases.length > 0
         ? `
       <div class="detail-section">
-        <h3>Top Tracks</h3>
-        <div class="track-list">
-          ${topTracks
+        <h3>Latest Releases</h3>
+        <div class="release-list">
+          ${latestReleases
             .map(
-              (track, index) => `
-            <div class="track-item">
-              <span class="track-number">${index + 1}</span>
-              <div class="track-info">
-                <div class="track-name">${track.name}</div>
-                <div class="track-album">${track.album}</div>
+              (release) => `
+            <button class="release-item" data-album-id="${escapeHtml(release.id)}">
+              ${
+                release.images && release.images.length > 0
+                  ? `<img src="${escapeHtml(release.images[release.images.length - 1].url)}" alt="${escapeHtml(release.name)}" class="release-item-image">`
+                  : `<div class="release-item-image no-image">${escapeHtml(release.name.charAt(0))}</div>`
+              }
+              <div class="release-item-info">
+                <div class="track-name">${escapeHtml(release.name)}</div>
+                <div class="track-album">${formatReleaseType(release.album_type)} • ${escapeHtml(formatReleaseDate(release.release_date))}</div>
               </div>
-              <a href="${track.spotify_url}" target="_blank" rel="noopener noreferrer" class="track-play">
-                ▶
-              </a>
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `
+        : ''
+    }
+
+    ${
+      topTracks && topTracks.length > 0
+        ? `
+      <div class="detail-section" id="topTracks">
+        <div class="detail-section-header">
+          <h3>Top Tracks</h3>
+          <div class="detail-section-actions">
+            ${isAuthenticated ? '<button class="save-playlist-btn" id="saveArtistPlaylist">＋ Save as playlist</button>' : ''}
+            ${renderPlayAllButton(topTracks)}
+          </div>
+        </div>
+        <div class="track-list">
+          ${topTracks
+            .map(
+              (track, index) => `
+            <div class="track-item">
+              <span class="track-number">${index + 1}</span>
+              <div class="track-info">
+                <div class="track-name">${escapeHtml(track.name)}</div>
+                ${
+                  track.album_id
+                    ? `<button class="track-album album-link" data-album-id="${escapeHtml(track.album_id)}">${escapeHtml(track.album)}</button>`
+                    : `<div class="track-album">${escapeHtml(track.album)}</div>`
+                }
+              </div>
+              ${renderTrackPlayButton(track, index)}
             </div>
           `
             )
@@ -252,6 +1023,19 @@ function displayArtistDetails(artist, topTracks) {
     `
         : ''
     }
+
+    <div class="detail-section" id="relatedArtists" hidden></div>
+
+    <div class="detail-section artist-discussion">
+      <h3>Discussion</h3>
+      <form class="comment-form" id="artistCommentForm">
+        <input type="text" id="artistCommentTitle" placeholder="${appUser ? 'Comment title' : 'Sign in to join the discussion'}" maxlength="128">
+        <textarea id="artistCommentBody" placeholder="${appUser ? `What do you think of ${escapeHtml(artist.name)}?` : 'Sign in to join the discussion'}" maxlength="4000"></textarea>
+        <button type="submit">Post Comment</button>
+      </form>
+      <div id="artistComments" class="artist-comments"></div>
+      <button type="button" id="artistCommentsMore" class="load-more-comments" hidden>Load more</button>
+    </div>
   `;
 
   // Add event listener to back button
@@ -259,6 +1043,629 @@ function displayArtistDetails(artist, topTracks) {
   if (backButton) {
     backButton.addEventListener('click', goBackToList);
   }
+
+  detailsPanel.querySelectorAll('[data-album-id]').forEach((element) => {
+    element.addEventListener('click', () => selectAlbum(element.dataset.albumId, artist));
+  });
+
+  bindFavoriteToggles(detailsPanel);
+  bindArtistDiscussion(artist);
+
+  const saveArtistPlaylist = document.getElementById('saveArtistPlaylist');
+  if (saveArtistPlaylist) {
+    saveArtistPlaylist.addEventListener('click', () =>
+      savePlaylist({ source: 'artist', artistId: artist.id }, currentMarket, saveArtistPlaylist)
+    );
+  }
+
+  const topTracksSection = document.getElementById('topTracks');
+  if (topTracksSection) {
+    bindPreviewButtons(
+      topTracksSection,
+      topTracks.map((track) => ({ ...track, artist: artist.name }))
+    );
+  }
+}
+
+async function selectAlbum(albumId, artist) {
+  const detailsPanel = document.getElementById('artistDetails');
+  detailsPanel.scrollTop = 0;
+  detailsPanel.innerHTML = '<div class="loading">Loading album...</div>';
+
+  try {
+    const params = new URLSearchParams({ market: currentMarket });
+    const response = await fetch(`/api/albums/${albumId}?${params}`);
+    const data = await response.json();
+
+    if (data.success) {
+      displayAlbumDetails(data.album, data.tracks, data.totalDuration, artist);
+    } else {
+      detailsPanel.innerHTML = `
+        <button class="album-back-button" id="albumBackButton">← Back to ${escapeHtml(artist.name)}</button>
+        <div class="error">Failed to load album</div>
+      `;
+      document.getElementById('albumBackButton').addEventListener('click', () => selectArtist(artist.id));
+    }
+  } catch (error) {
+    console.error('Error loading album:', error);
+    detailsPanel.innerHTML = '<div class="error">Error loading album</div>';
+  }
+}
+
+function displayAlbumDetails(album, tracks, totalDuration, artist) {
+  const detailsPanel = document.getElementById('artistDetails');
+  const coverImage = album.images && album.images.length > 0 ? album.images[0].url : '';
+  const discCount = Math.max(1, ...tracks.map((track) => track.disc_number || 1));
+
+  const renderTrack = (track) => {
+    // Only list artists beyond the album's own, e.g. features
+    const albumArtistIds = album.artists.map((albumArtist) => albumArtist.id);
+    const guests = track.artists.filter((trackArtist) => !albumArtistIds.includes(trackArtist.id));
+
+    return `
+      <div class="track-item album-track">
+        <span class="track-number">${track.track_number}</span>
+        <div class="track-info">
+          <div class="track-name">
+            ${escapeHtml(track.name)}
+            ${track.explicit ? '<span class="explicit-badge" title="Explicit">E</span>' : ''}
+          </div>
+          ${guests.length > 0 ? `<div class="track-album">feat. ${guests.map((guest) => escapeHtml(guest.name)).join(', ')}</div>` : ''}
+        </div>
+        <span class="track-duration">${formatDuration(track.duration_ms)}</span>
+        ${renderTrackPlayButton(track, tracks.indexOf(track))}
+      </div>
+    `;
+  };
+
+  let trackListHtml = '';
+  for (let disc = 1; disc <= discCount; disc++) {
+    const discTracks = tracks.filter((track) => (track.disc_number || 1) === disc);
+    if (discTracks.length === 0) {
+      continue;
+    }
+    trackListHtml += `
+      ${discCount > 1 ? `<h4 class="disc-heading">Disc ${disc}</h4>` : ''}
+      <div class="track-list">${discTracks.map(renderTrack).join('')}</div>
+    `;
+  }
+
+  detailsPanel.innerHTML = `
+    <button class="album-back-button" id="albumBackButton">← Back to ${escapeHtml(artist.name)}</button>
+
+    <div class="artist-header album-header" data-album-id="${escapeHtml(album.id)}">
+      <div class="artist-header-content">
+        ${
+          coverImage
+            ? `<img src="${escapeHtml(coverImage)}" alt="${escapeHtml(album.name)}" class="album-cover">`
+            : `<div class="artist-header-placeholder album-cover">${escapeHtml(album.name.charAt(0))}</div>`
+        }
+        <div class="artist-header-info">
+          <span class="album-type">${formatReleaseType(album.album_type)}</span>
+          <h2>${escapeHtml(album.name)}</h2>
+          <div class="album-artists">${album.artists.map((albumArtist) => escapeHtml(albumArtist.name)).join(', ')}</div>
+          <div class="artist-meta">
+            <div class="meta-item">
+              <strong>${escapeHtml(formatReleaseDate(album.release_date))}</strong>
+              <span>Released</span>
+            </div>
+            <div class="meta-item">
+              <strong>${tracks.length}</strong>
+              <span>${tracks.length === 1 ? 'Track' : 'Tracks'}</span>
+            </div>
+            <div class="meta-item">
+              <strong>${formatDuration(totalDuration)}</strong>
+              <span>Length</span>
+            </div>
+          </div>
+          ${album.label ? `<div class="album-label">${escapeHtml(album.label)}</div>` : ''}
+          <a href="${escapeHtml(album.spotify_url)}" target="_blank" rel="noopener noreferrer" class="spotify-link">
+            Open in Spotify →
+          </a>
+        </div>
+      </div>
+    </div>
+
+    <div class="detail-section" id="albumTracks">
+      <div class="detail-section-header">
+        <h3>Tracklist</h3>
+        ${renderPlayAllButton(tracks)}
+      </div>
+      ${trackListHtml}
+      ${
+        album.copyrights && album.copyrights.length > 0
+          ? `<div class="album-copyrights">${album.copyrights.map((text) => `<p>${escapeHtml(text)}</p>`).join('')}</div>`
+          : ''
+      }
+    </div>
+  `;
+
+  document.getElementById('albumBackButton').addEventListener('click', () => {
+    detailsPanel.scrollTop = 0;
+    selectArtist(artist.id);
+  });
+
+  const albumImage = album.images && album.images.length > 0 ? album.images[album.images.length - 1].url : null;
+  bindPreviewButtons(
+    document.getElementById('albumTracks'),
+    tracks.map((track) => ({
+      ...track,
+      artist: track.artists.map((trackArtist) => trackArtist.name).join(', '),
+      image: albumImage,
+    }))
+  );
+}
+
+async function loadRelatedArtists(artistId) {
+  try {
+    const response = await fetch(`/api/artists/${artistId}/related?limit=8`);
+    const data = await response.json();
+
+    // The user may have moved on to another artist in the meantime
+    const section = document.getElementById('relatedArtists');
+    if (!section || !data.success || document.querySelector('.artist-header')?.dataset.artistId !== artistId) {
+      return;
+    }
+
+    displayRelatedArtists(section, data.artists);
+  } catch (error) {
+    console.error('Error loading related artists:', error);
+  }
+}
+
+function displayRelatedArtists(section, artists) {
+  if (!artists || artists.length === 0) {
+    return;
+  }
+
+  section.innerHTML = `
+    <h3>Fans Also Like</h3>
+    <div class="related-grid">
+      ${artists
+        .map(
+          (artist) => `
+        <button class="related-card" data-artist-id="${escapeHtml(artist.id)}">
+          ${
+            artist.images && artist.images.length > 0
+              ? `<img src="${escapeHtml(artist.images[artist.images.length - 1].url)}" alt="${escapeHtml(artist.name)}">`
+              : `<div class="no-image">${escapeHtml(artist.name.charAt(0))}</div>`
+          }
+          <span class="related-card-name">${escapeHtml(artist.name)}</span>
+        </button>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+  section.hidden = false;
+
+  section.querySelectorAll('.related-card').forEach((card) => {
+    card.addEventListener('click', () => {
+      document.getElementById('artistDetails').scrollTop = 0;
+      selectArtist(card.dataset.artistId);
+    });
+  });
+}
+
+function displayNewReleases(releases) {
+  const releaseFeed = document.getElementById('releaseFeed');
+
+  if (!releases || releases.length === 0) {
+    releaseFeed.hidden = true;
+    return;
+  }
+
+  releaseFeed.innerHTML = `
+    <div class="list-header">
+      <h2>🆕 New This Week</h2>
+    </div>
+    <div class="release-grid">
+      ${releases
+        .map(
+          (release) => `
+        <div class="release-card" data-artist-id="${escapeHtml(release.artist_id)}">
+          ${
+            release.images && release.images.length > 0
+              ? `<img src="${escapeHtml(release.images[0].url)}" alt="${escapeHtml(release.name)}" class="release-card-image">`
+              : `<div class="release-card-image no-image">${escapeHtml(release.name.charAt(0))}</div>`
+          }
+          <div class="release-card-name">${escapeHtml(release.name)}</div>
+          <div class="release-card-artist">${escapeHtml(release.artist_name)}</div>
+          <div class="release-card-meta">${formatReleaseType(release.album_type)} • ${escapeHtml(formatReleaseDate(release.release_date))}</div>
+        </div>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+  releaseFeed.hidden = false;
+
+  releaseFeed.querySelectorAll('.release-card').forEach((card) => {
+    card.addEventListener('click', () => selectArtist(card.dataset.artistId));
+  });
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+function handleSearchInput(event) {
+  clearTimeout(searchTimer);
+  const query = event.target.value.trim();
+
+  if (query.length < 2) {
+    hideSearchResults();
+    return;
+  }
+
+  searchTimer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE);
+}
+
+async function runSearch(query) {
+  // Responses can arrive out of order; only the latest search gets rendered
+  const requestId = ++searchRequestId;
+
+  try {
+    const params = new URLSearchParams({ q: query, type: 'artist,track,album', limit: 5, market: currentMarket });
+    const response = await fetch(`/api/search?${params}`);
+    const data = await response.json();
+
+    if (requestId !== searchRequestId) {
+      return;
+    }
+
+    if (data.success) {
+      displaySearchResults(data);
+    } else {
+      showSearchMessage(data.error || 'Search failed');
+    }
+  } catch (error) {
+    console.error('Error searching:', error);
+    if (requestId === searchRequestId) {
+      showSearchMessage('Error connecting to server');
+    }
+  }
+}
+
+function displaySearchResults(data) {
+  const artists = data.artists ? data.artists.items : [];
+  const tracks = data.tracks ? data.tracks.items : [];
+  const albums = data.albums ? data.albums.items : [];
+
+  if (!artists.length && !tracks.length && !albums.length) {
+    showSearchMessage('No results found');
+    return;
+  }
+
+  // Every result opens an artist: tracks and albums open their first artist
+  const renderGroup = (title, items, describe) =>
+    items.length > 0
+      ? `
+      <div class="search-group">
+        <h4>${title}</h4>
+        ${items
+          .map((item) => {
+            const artistId = item.artists ? item.artists[0]?.id : item.id;
+            const images = item.images || item.album?.images || [];
+            // Names come from the Spotify catalog, where anyone can publish a release
+            const name = escapeHtml(item.name);
+            return `
+          <button class="search-result" data-artist-id="${escapeHtml(artistId)}">
+            ${
+              images.length > 0
+                ? `<img src="${escapeHtml(images[images.length - 1].url)}" alt="${name}">`
+                : `<div class="no-image">${escapeHtml(item.name.charAt(0))}</div>`
+            }
+            <span class="search-result-text">
+              <span class="search-result-name">${name}</span>
+              <span class="search-result-meta">${describe(item)}</span>
+            </span>
+          </button>
+        `;
+          })
+          .join('')}
+      </div>
+    `
+      : '';
+
+  const joinArtists = (item) => item.artists.map((artist) => escapeHtml(artist.name)).join(', ');
+
+  const searchResults = document.getElementById('searchResults');
+  searchResults.innerHTML = `
+    ${renderGroup('Artists', artists, (artist) => `👥 ${formatNumber(artist.followers)}`)}
+    ${renderGroup('Tracks', tracks, joinArtists)}
+    ${renderGroup('Albums', albums, (album) => `${joinArtists(album)} • ${formatReleaseType(album.album_type)}`)}
+  `;
+  searchResults.hidden = false;
+
+  searchResults.querySelectorAll('.search-result').forEach((result) => {
+    result.addEventListener('click', () => {
+      if (!result.dataset.artistId) {
+        return;
+      }
+      hideSearchResults();
+      document.getElementById('searchInput').value = '';
+      selectArtist(result.dataset.artistId);
+    });
+  });
+}
+
+function showSearchMessage(message) {
+  const searchResults = document.getElementById('searchResults');
+  searchResults.innerHTML = `<p class="search-message">${escapeHtml(message)}</p>`;
+  searchResults.hidden = false;
+}
+
+function hideSearchResults() {
+  const searchResults = document.getElementById('searchResults');
+  searchResults.hidden = true;
+  searchResults.innerHTML = '';
+}
+
+// Create a private Spotify playlist; the permission for it is only asked for
+// the first time someone wants one
+async function savePlaylist(payload, market, button) {
+  const askForPermission = () => {
+    if (confirm('Saving playlists needs permission to create private playlists on your Spotify account. Connect now?')) {
+      window.location.href = '/auth/spotify?playlists=1';
+    }
+  };
+
+  if (!canCreatePlaylists) {
+    askForPermission();
+    return;
+  }
+
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = 'Saving…';
+
+  try {
+    const params = new URLSearchParams({ market });
+    const response = await fetch(`/api/playlists?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      const link = document.createElement('a');
+      link.href = data.playlist.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'save-playlist-btn saved';
+      link.textContent = `✓ Saved ${data.playlist.trackCount} tracks — open`;
+      button.replaceWith(link);
+      return;
+    }
+
+    button.disabled = false;
+    button.textContent = label;
+
+    if (data.error === 'SPOTIFY_SCOPE_MISSING') {
+      canCreatePlaylists = false;
+      askForPermission();
+    } else {
+      alert(data.message || data.error || 'Failed to save playlist');
+    }
+  } catch (error) {
+    console.error('Error saving playlist:', error);
+    button.disabled = false;
+    button.textContent = label;
+    alert('Error saving playlist');
+  }
+}
+
+// ============================================================================
+// PREVIEW PLAYER
+// ============================================================================
+
+// Tracks without a preview_url fall back to opening Spotify
+function renderTrackPlayButton(track, index) {
+  if (!track.preview_url) {
+    return `
+      <a href="${escapeHtml(track.spotify_url)}" target="_blank" rel="noopener noreferrer" class="track-play" title="Open in Spotify">
+        ▶
+      </a>
+    `;
+  }
+  const playing = playerQueue[playerIndex]?.id === track.id;
+  return `
+    <button class="track-play${playing ? ' playing' : ''}" data-preview-index="${index}" data-track-id="${escapeHtml(track.id)}"
+      aria-label="Play preview of ${escapeHtml(track.name)}">▶</button>
+  `;
+}
+
+function renderPlayAllButton(tracks) {
+  return tracks.some((track) => track.preview_url)
+    ? '<button class="play-all-btn" data-play-all>▶ Play all</button>'
+    : '';
+}
+
+// Clicking a track queues every previewable track in the section, starting there
+function bindPreviewButtons(container, tracks) {
+  const playable = tracks.filter((track) => track.preview_url);
+  const toQueueEntry = (track) => ({
+    id: track.id,
+    name: track.name,
+    artist: track.artist,
+    image: track.image || null,
+    preview_url: track.preview_url,
+    spotify_url: track.spotify_url,
+  });
+
+  container.querySelectorAll('[data-preview-index]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const track = tracks[Number(button.dataset.previewIndex)];
+      playQueue(playable.map(toQueueEntry), playable.indexOf(track));
+    });
+  });
+
+  const playAllButton = container.querySelector('[data-play-all]');
+  if (playAllButton) {
+    playAllButton.addEventListener('click', () => playQueue(playable.map(toQueueEntry), 0));
+  }
+}
+
+function playQueue(tracks, startIndex) {
+  if (tracks.length === 0) {
+    return;
+  }
+  playerQueue = tracks;
+  playTrackAt(Math.max(0, startIndex));
+}
+
+function playTrackAt(index) {
+  const audio = document.getElementById('previewAudio');
+  if (index < 0 || index >= playerQueue.length) {
+    return;
+  }
+
+  // Clicking the track that is already loaded toggles it instead of restarting
+  if (index === playerIndex && audio.src === playerQueue[index].preview_url) {
+    togglePlayback();
+    return;
+  }
+
+  playerIndex = index;
+  audio.src = playerQueue[index].preview_url;
+  audio.play().catch((error) => console.error('Error playing preview:', error));
+  renderPlayer();
+}
+
+function togglePlayback() {
+  const audio = document.getElementById('previewAudio');
+  if (!audio.src) {
+    return;
+  }
+  if (audio.paused) {
+    audio.play().catch((error) => console.error('Error playing preview:', error));
+  } else {
+    audio.pause();
+  }
+}
+
+function playNext() {
+  if (playerIndex < playerQueue.length - 1) {
+    playTrackAt(playerIndex + 1);
+  }
+}
+
+// Like most players, "previous" restarts the track unless it only just started
+function playPrevious() {
+  const audio = document.getElementById('previewAudio');
+  if (audio.currentTime > 3 || playerIndex === 0) {
+    audio.currentTime = 0;
+    return;
+  }
+  playTrackAt(playerIndex - 1);
+}
+
+function closePlayer() {
+  const audio = document.getElementById('previewAudio');
+  audio.pause();
+  audio.removeAttribute('src');
+  playerQueue = [];
+  playerIndex = -1;
+  renderPlayer();
+}
+
+function renderPlayer() {
+  const player = document.getElementById('miniPlayer');
+  const track = playerQueue[playerIndex];
+
+  player.hidden = !track;
+  document.body.classList.toggle('has-player', Boolean(track));
+
+  // Mark whichever track button matches the current track, wherever it is on the page
+  document.querySelectorAll('.track-play[data-track-id]').forEach((button) => {
+    button.classList.toggle('playing', Boolean(track) && button.dataset.trackId === track.id);
+  });
+
+  if (!track) {
+    return;
+  }
+
+  document.getElementById('playerNowPlaying').innerHTML = `
+    ${
+      track.image
+        ? `<img src="${escapeHtml(track.image)}" alt="" class="player-image">`
+        : `<div class="player-image no-image">${escapeHtml(track.name.charAt(0))}</div>`
+    }
+    <div class="player-track-info">
+      <a href="${escapeHtml(track.spotify_url)}" target="_blank" rel="noopener noreferrer" class="player-track-name">${escapeHtml(track.name)}</a>
+      <div class="player-track-artist">${escapeHtml(track.artist)}</div>
+    </div>
+  `;
+
+  document.getElementById('playerPrev').disabled = playerIndex === 0;
+  document.getElementById('playerNext').disabled = playerIndex >= playerQueue.length - 1;
+
+  const queueList = document.getElementById('playerQueue');
+  queueList.innerHTML = playerQueue
+    .map(
+      (entry, index) => `
+    <li>
+      <button class="player-queue-item${index === playerIndex ? ' current' : ''}" data-queue-index="${index}">
+        <span class="player-queue-name">${escapeHtml(entry.name)}</span>
+        <span class="player-queue-artist">${escapeHtml(entry.artist)}</span>
+      </button>
+    </li>
+  `
+    )
+    .join('');
+
+  queueList.querySelectorAll('[data-queue-index]').forEach((button) => {
+    button.addEventListener('click', () => playTrackAt(Number(button.dataset.queueIndex)));
+  });
+}
+
+function updatePlayerState() {
+  const audio = document.getElementById('previewAudio');
+  const toggle = document.getElementById('playerToggle');
+  toggle.textContent = audio.paused ? '▶' : '⏸';
+  toggle.setAttribute('aria-label', audio.paused ? 'Play' : 'Pause');
+}
+
+function initPlayer() {
+  const audio = document.getElementById('previewAudio');
+  if (!audio) {
+    return;
+  }
+
+  audio.addEventListener('play', updatePlayerState);
+  audio.addEventListener('pause', updatePlayerState);
+  audio.addEventListener('ended', () => {
+    if (playerIndex < playerQueue.length - 1) {
+      playNext();
+    } else {
+      updatePlayerState();
+    }
+  });
+  audio.addEventListener('timeupdate', () => {
+    const progress = audio.duration ? (audio.currentTime / audio.duration) * 100 : 0;
+    document.getElementById('playerProgress').style.width = `${progress}%`;
+  });
+  audio.addEventListener('error', () => {
+    // Skip previews that fail to load rather than stalling the queue
+    if (audio.src) {
+      console.error('Preview failed to load:', playerQueue[playerIndex]?.name);
+      playNext();
+    }
+  });
+
+  document.getElementById('playerToggle').addEventListener('click', togglePlayback);
+  document.getElementById('playerPrev').addEventListener('click', playPrevious);
+  document.getElementById('playerNext').addEventListener('click', playNext);
+  document.getElementById('playerClose').addEventListener('click', closePlayer);
+
+  const queueToggle = document.getElementById('playerQueueToggle');
+  queueToggle.addEventListener('click', () => {
+    const queueList = document.getElementById('playerQueue');
+    queueList.hidden = !queueList.hidden;
+    queueToggle.setAttribute('aria-expanded', String(!queueList.hidden));
+  });
 }
 
 // ============================================================================
@@ -292,12 +1699,56 @@ function showError(message) {
   const artistList = document.getElementById('artistList');
   artistList.innerHTML = `
     <div class="error-container">
-      <p class="error-message">${message}</p>
+      <p class="error-message">${escapeHtml(message)}</p>
       <button onclick="loadArtists()" class="retry-button">Retry</button>
     </div>
   `;
 }
 
+// Update a query parameter without reloading, so the current view can be shared
+function setURLParam(name, value) {
+  const url = new URL(window.location.href);
+
+  if (value) {
+    url.searchParams.set(name, value);
+  } else {
+    url.searchParams.delete(name);
+  }
+
+  window.history.replaceState({}, document.title, url.pathname + url.search);
+}
+
+function formatReleaseType(albumType) {
+  return albumType === 'single' ? 'Single' : albumType === 'compilation' ? 'Compilation' : 'Album';
+}
+
+// Spotify release dates can be just a year or a year and month
+function formatReleaseDate(releaseDate) {
+  const parts = releaseDate.split('-');
+  if (parts.length < 3) {
+    return releaseDate;
+  }
+  return new Date(`${releaseDate}T00:00:00`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+// 215000 -> '3:35', 4000000 -> '1:06:40'
+function formatDuration(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// 'hip-hop' -> 'Hip-Hop', 'indie rock' -> 'Indie Rock'
+function formatGenre(genre) {
+  return genre.replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
 function formatNumber(num) {
   if (num >= 1000000) {
     return (num / 1000000).toFixed(1) + 'M';
@@ -344,8 +1795,53 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Check for auth messages in URL
   checkForAuthMessages();
 
+  // Restore the selected view and time range from the URL
+  const urlParams = new URLSearchParams(window.location.search);
+  if (VIEWS[urlParams.get('view')]) {
+    currentView = urlParams.get('view');
+  }
+  if (TIME_RANGES[urlParams.get('timeRange')]) {
+    timeRange = urlParams.get('timeRange');
+  }
+  if (SORT_OPTIONS[urlParams.get('sort')]) {
+    listFilters.sort = urlParams.get('sort');
+  }
+  if (urlParams.get('genre')) {
+    listFilters.genre = normalizeGenreFilter(urlParams.get('genre'));
+  }
+  if (MIN_POPULARITY_OPTIONS.includes(Number(urlParams.get('minPopularity')))) {
+    listFilters.minPopularity = Number(urlParams.get('minPopularity'));
+  }
+
   // Check authentication status
   await checkAuthStatus();
+  await checkAppUser();
+
+  // Signing in or out through the comments modal changes stars and discussions
+  document.addEventListener('appauthchange', async () => {
+    await checkAppUser();
+    if (!appUser) {
+      favoriteIds = new Set();
+      if (currentView === 'watchlist') {
+        currentView = 'global';
+      }
+    }
+    loadArtists();
+
+    const artistId = document.querySelector('.artist-header')?.dataset.artistId;
+    if (artistId) {
+      selectArtist(artistId);
+    }
+  });
+
+  // Markets depend on the session (a Spotify user's country is the default)
+  await loadMarkets();
+  await loadGenres();
+
+  const urlGenre = new URLSearchParams(window.location.search).get('chart');
+  if (urlGenre && chartGenres.includes(urlGenre)) {
+    currentGenre = urlGenre;
+  }
 
   // Set up event listeners
   const loginBtn = document.getElementById('spotifyLoginBtn');
@@ -359,8 +1855,34 @@ document.addEventListener('DOMContentLoaded', async () => {
     logoutBtn.addEventListener('click', handleLogout);
   }
 
+  const marketSelect = document.getElementById('marketSelect');
+  if (marketSelect) {
+    marketSelect.addEventListener('change', () => selectMarket(marketSelect.value));
+  }
+
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    searchInput.addEventListener('input', handleSearchInput);
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        hideSearchResults();
+        searchInput.blur();
+      }
+    });
+
+    // Close results when clicking anywhere outside the search box
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.search-box')) {
+        hideSearchResults();
+      }
+    });
+  }
+
+  initPlayer();
+
   // Load artists
   loadArtists();
+  loadNewReleases();
 
 });
 
@@ -375,10 +1897,48 @@ function showSessionExpired(message = "Your session expired. You’ve been signe
 }
 
 async function loadArtists() {
+  // The comparison and taste profile need the room of both panels
+  document.getElementById('artistList').classList.toggle('wide', WIDE_VIEWS.includes(currentView) && isAuthenticated);
+
+  if (currentView === 'following' && isAuthenticated) {
+    return loadFollowing();
+  }
+
+  if (currentView === 'compare' && isAuthenticated) {
+    return loadComparison();
+  }
+
+  if (currentView === 'taste' && isAuthenticated) {
+    return loadTasteProfile();
+  }
+
+  if (currentView === 'watchlist' && appUser) {
+    return loadWatchlist();
+  }
+
+  // Genre charts replace the global chart, not personal top artists
+  if (currentGenre && (currentView === 'global' || !isAuthenticated)) {
+    return loadGenreChart();
+  }
+
   try {
     showLoading();
 
-    const response = await fetch('/api/artists');
+    const params = new URLSearchParams({ timeRange, market: currentMarket });
+    if (currentView === 'global') {
+      params.set('source', 'global');
+    }
+    // Movement only exists on charts, so fall back to chart order for personal lists
+    if (listFilters.sort !== 'rank' && (listFilters.sort !== 'movement' || currentView === 'global' || !isAuthenticated)) {
+      params.set('sort', listFilters.sort);
+    }
+    if (listFilters.genre) {
+      params.set('genre', listFilters.genre);
+    }
+    if (listFilters.minPopularity) {
+      params.set('minPopularity', listFilters.minPopularity);
+    }
+    const response = await fetch(`/api/artists?${params}`);
 
     if (response.status === 401) {
       isAuthenticated = false;
@@ -391,6 +1951,7 @@ async function loadArtists() {
 
     if (data.success) {
       artistsData = data.artists;
+      chartMarket = data.market || 'global';
       displayArtists(artistsData, data.source);
     } else {
       showError('Failed to load artists');
@@ -400,3 +1961,168 @@ async function loadArtists() {
     showError('Error connecting to server');
   }
 }
+
+async function loadComparison() {
+  try {
+    showLoading();
+
+    const params = new URLSearchParams({ timeRange, market: currentMarket });
+    const response = await fetch(`/api/compare?${params}`);
+
+    if (response.status === 401) {
+      isAuthenticated = false;
+      updateAuthUI();
+      showSessionExpired();
+      return;
+    }
+
+    const data = await response.json();
+
+    if (data.success) {
+      chartMarket = data.market;
+      displayComparison(data);
+    } else {
+      showError('Failed to compare with the chart');
+    }
+  } catch (error) {
+    console.error('Error loading comparison:', error);
+    showError('Error connecting to server');
+  }
+}
+
+async function loadWatchlist() {
+  try {
+    showLoading();
+
+    const response = await fetch('/api/favorites/artists');
+
+    if (response.status === 401) {
+      appUser = null;
+      favoriteIds = new Set();
+      showSessionExpired();
+      loadArtists();
+      return;
+    }
+
+    const data = await response.json();
+
+    if (data.success) {
+      artistsData = data.artists;
+      displayArtists(artistsData, 'watchlist');
+    } else {
+      showError('Failed to load your watchlist');
+    }
+  } catch (error) {
+    console.error('Error loading watchlist:', error);
+    showError('Error connecting to server');
+  }
+}
+
+// All three time ranges come in one response, so switching ranges reuses it
+async function loadTasteProfile() {
+  if (tasteData) {
+    displayTasteProfile(tasteData);
+    return;
+  }
+
+  try {
+    showLoading();
+
+    const response = await fetch('/api/me/taste');
+
+    if (response.status === 401) {
+      isAuthenticated = false;
+      updateAuthUI();
+      showSessionExpired();
+      return;
+    }
+
+    const data = await response.json();
+
+    if (data.success) {
+      tasteData = data;
+      displayTasteProfile(data);
+    } else {
+      showError('Failed to load your taste profile');
+    }
+  } catch (error) {
+    console.error('Error loading taste profile:', error);
+    showError('Error connecting to server');
+  }
+}
+
+async function loadFollowing(after = null) {
+  try {
+    if (!after) {
+      showLoading();
+    }
+
+    const params = new URLSearchParams({ limit: 50 });
+    if (after) {
+      params.set('after', after);
+    }
+    const response = await fetch(`/api/me/following?${params}`);
+
+    if (response.status === 401) {
+      isAuthenticated = false;
+      updateAuthUI();
+      showSessionExpired();
+      return;
+    }
+
+    const data = await response.json();
+
+    if (data.success) {
+      artistsData = after ? artistsData.concat(data.artists) : data.artists;
+      followingCursor = data.next;
+      displayArtists(artistsData, 'following');
+    } else {
+      showError(data.message || 'Failed to load followed artists');
+    }
+  } catch (error) {
+    console.error('Error loading followed artists:', error);
+    showError('Error connecting to server');
+  }
+}
+
+async function loadGenres() {
+  try {
+    const response = await fetch('/api/genres');
+    const data = await response.json();
+
+    if (data.success) {
+      chartGenres = data.genres.map((entry) => entry.genre);
+    }
+  } catch (error) {
+    console.error('Error loading genres:', error);
+  }
+}
+
+async function loadGenreChart() {
+  try {
+    showLoading();
+
+    const params = new URLSearchParams({ market: currentMarket });
+    const response = await fetch(`/api/genres/${encodeURIComponent(currentGenre)}/artists?${params}`);
+
+    if (response.status === 401) {
+      isAuthenticated = false;
+      updateAuthUI();
+      showSessionExpired();
+      return;
+    }
+
+    const data = await response.json();
+
+    if (data.success) {
+      artistsData = data.artists;
+      chartMarket = data.market;
+      displayArtists(artistsData, 'genre');
+    } else {
+      showError('Failed to load genre chart');
+    }
+  } catch (error) {
+    console.error('Error loading genre chart:', error);
+    showError('Error connecting to server');
+  }
+}
@@ -1 +1 @@
-let artistsData=[],isAuthenticated=!1;async function checkAuthStatus(){try{const t=await fetch("/api/auth/spotify/status");if(401===t.status)return isAuthenticated=!1,updateAuthUI(),showSessionExpired(),!1;const e=await t.json();return isAuthenticated=e.authenticated,updateAuthUI(),e.authenticated}catch(t){return console.error("Error checking auth status:",t),!1}}function updateAuthUI(){const t=document.getElementById("spotifyLoginBtn"),e=document.getElementById("spotifyLogoutBtn");isAuthenticated?(t.style.display="none",e.style.display="block"):(t.style.display="block",e.style.display="none")}function handleLogin(){window.location.href="/auth/spotify"}async function handleLogout(){try{const t=await fetch("/api/auth/spotify/logout",{method:"POST"});(await t.json()).success&&(isAuthenticated=!1,updateAuthUI(),loadArtists())}catch(t){console.error("Error logging out:",t)}}async function loadArtists(){try{showLoading();const t=await fetch("/api/artists"),e=await t.json();e.success?(artistsData=e.artists,displayArtists(artistsData,e.source)):showError("Failed to load artists")}catch(t){console.error("Error loading artists:",t),showError("Error connecting to server")}}function displayArtists(t,e="global"){const s=document.getElementById("artistList");if(!t||0===t.length)return void(s.innerHTML='<p class="no-data">No artists found</p>');const n="personal"===e?"🎧 Your Top Artists":"🌍 Global Top 50";s.innerHTML=`\n    <div class="list-header">\n      <h2>${n}</h2>\n    </div>\n    ${t.map(t=>`\n      <div class="artist-card" data-artist-id="${t.id}">\n        <div class="artist-card-image">\n          ${t.images&&t.images.length>0?`<img src="${t.images[t.images.length-1].url}" alt="${t.name}">`:`<div class="no-image">${t.name.charAt(0)}</div>`}\n        </div>\n        <div class="artist-card-content">\n          <h3 class="artist-card-name">${t.name}</h3>\n          <p class="artist-card-genre">${t.genres&&t.genres.length>0?t.genres.slice(0,2).join(", "):"Artist"}</p>\n          <div class="artist-stats">\n            <span>⭐ ${t.popularity||"N/A"}</span>\n            ${t.followers?`<span>👥 ${formatNumber(t.followers.total||t.followers)}</span>`:""}\n          </div>\n        </div>\n      </div>\n    `).join("")}\n  `,document.querySelectorAll(".artist-card").forEach(t=>{t.addEventListener("click",()=>{selectArtist(t.dataset.artistId)})})}async function selectArtist(t){try{document.querySelectorAll(".artist-card").forEach(t=>{t.classList.remove("active")});const e=document.querySelector(`[data-artist-id="${t}"]`);e&&e.classList.add("active");const s=document.getElementById("artistDetails");s.classList.add("active"),s.innerHTML='<div class="loading">Loading artist details...</div>';const n=document.getElementById("artistList");window.innerWidth<=768&&n.classList.add("hidden");const a=await fetch(`/api/artists/${t}`),i=await a.json();i.success?displayArtistDetails(i.artist,i.topTracks):s.innerHTML='<div class="error">Failed to load artist details</div>'}catch(t){console.error("Error loading artist details:",t),document.getElementById("artistDetails").innerHTML='<div class="error">Error loading artist details</div>'}}function displayArtistDetails(t,e){const s=document.getElementById("artistDetails"),n=t.images&&t.images.length>0?t.images[0].url:"";s.innerHTML=`\n    <button class="back-button" id="backButton">← Back to Artists</button>\n    \n    <div class="artist-header">\n      <div class="artist-header-content">\n        ${n?`<img src="${n}" alt="${t.name}" class="artist-header-image">`:`<div class="artist-header-placeholder">${t.name.charAt(0)}</div>`}\n        <div class="artist-header-info">\n          <h2>${t.name}</h2>\n          <div class="artist-meta">\n            <div class="meta-item">\n              <strong>${formatNumber(t.followers)}</strong>\n              <span>Followers</span>\n            </div>\n            <div class="meta-item">\n              <strong>${t.popularity}</strong>\n              <span>Popularity</span>\n            </div>\n          </div>\n          ${t.genres&&t.genres.length>0?`\n            <div class="artist-genre-tags">\n              ${t.genres.map(t=>`<span class="artist-genre-tag">${t}</span>`).join("")}\n            </div>\n          `:""}\n          <a href="${t.spotify_url}" target="_blank" rel="noopener noreferrer" class="spotify-link">\n            Open in Spotify →\n          </a>\n        </div>\n      </div>\n    </div>\n    \n    ${e&&e.length>0?`\n      <div class="detail-section">\n        <h3>Top Tracks</h3>\n        <div class="track-list">\n          ${e.map((t,e)=>`\n            <div class="track-item">\n              <span class="track-number">${e+1}</span>\n              <div class="track-info">\n                <div class="track-name">${t.name}</div>\n                <div class="track-album">${t.album}</div>\n              </div>\n              <a href="${t.spotify_url}" target="_blank" rel="noopener noreferrer" class="track-play">\n                ▶\n              </a>\n            </div>\n          `).join("")}\n        </div>\n      </div>\n    `:""}\n  `;const a=document.getElementById("backButton");a&&a.addEventListener("click",goBackToList)}function goBackToList(){const t=document.getElementById("artistList"),e=document.getElementById("artistDetails");t.classList.remove("hidden"),e.classList.remove("active"),document.querySelectorAll(".artist-card").forEach(t=>{t.classList.remove("active")})}function showLoading(){document.getElementById("artistList").innerHTML='\n    <div class="loading-container">\n      <div class="loading-spinner"></div>\n      <p>Loading artists...</p>\n    </div>\n  '}function showError(t){document.getElementById("artistList").innerHTML=`\n    <div class="error-container">\n      <p class="error-message">${t}</p>\n      <button onclick="loadArtists()" class="retry-button">Retry</button>\n    </div>\n  `}function formatNumber(t){return t>=1e6?(t/1e6).toFixed(1)+"M":t>=1e3?(t/1e3).toFixed(1)+"K":t.toString()}function checkForAuthMessages(){const t=new URLSearchParams(window.location.search),e=t.get("error"),s=t.get("auth");if(e){let t="Authentication failed";"spotify_auth_failed"===e?t="Spotify authentication failed. Please try again.":"invalid_state"===e?t="Invalid authentication state. Please try again.":"token_exchange_failed"===e&&(t="Failed to exchange token. Please try again."),console.error(t),window.history.replaceState({},document.title,"/")}"success"===s&&(console.log("Successfully authenticated!"),window.history.replaceState({},document.title,"/"))}function showSessionExpired(t="Your session expired. You’ve been signed out."){const e=document.createElement("div");e.className="session-expired-banner",e.textContent=t,document.body.prepend(e),setTimeout(()=>e.remove(),5e3)}async function loadArtists(){try{showLoading();const t=await fetch("/api/artists");if(401===t.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const e=await t.json();e.success?(artistsData=e.artists,displayArtists(artistsData,e.source)):showError("Failed to load artists")}catch(t){console.error("Error loading artists:",t),showError("Error connecting to server")}}document.addEventListener("DOMContentLoaded",async()=>{checkForAuthMessages(),await checkAuthStatus();const t=document.getElementById("spotifyLoginBtn"),e=document.getElementById("spotifyLogoutBtn");t&&t.addEventListener("click",handleLogin),e&&e.addEventListener("click",handleLogout),loadArtists()});
\ No newline at end of file
+let artistsData=[],isAuthenticated=!1,canCreatePlaylists=!1,appUser=null,favoriteIds=new Set,timeRange="medium_term",currentView="top",followingCursor=null,currentMarket="global",chartMarket="global",marketNames={},chartGenres=[],currentGenre=null,listFilters={sort:"rank",genre:"",minPopularity:0},searchTimer=null,searchRequestId=0,tasteData=null,playerQueue=[],playerIndex=-1,artistCommentsBefore=null,artistCommentThreads=0;const SEARCH_DEBOUNCE=300,VIEWS={top:"Your Top",global:"Global Top 50",following:"Following",compare:"Compare",taste:"Taste",watchlist:"My Watchlist"},SPOTIFY_VIEWS=["top","following","compare","taste"],WIDE_VIEWS=["compare","taste"],SORT_OPTIONS={rank:"Chart order",popularity:"Popularity",followers:"Followers",name:"Name",movement:"Biggest movers"},MIN_POPULARITY_OPTIONS=[0,50,70,90],LIST_HEADERS={personal:"🎧 Your Top Artists",global:"🌍 Global Top 50",following:"💜 Following",watchlist:"★ My Watchlist"},TIME_RANGES={short_term:"Last 4 Weeks",medium_term:"Last 6 Months",long_term:"All Time"};async function checkAuthStatus(){try{const e=await fetch("/api/auth/spotify/status");if(401===e.status)return isAuthenticated=!1,updateAuthUI(),showSessionExpired(),!1;const t=await e.json();return isAuthenticated=t.authenticated,canCreatePlaylists=Boolean(t.canCreatePlaylists),updateAuthUI(),t.authenticated}catch(e){return console.error("Error checking auth status:",e),!1}}function updateAuthUI(){const e=document.getElementById("spotifyLoginBtn"),t=document.getElementById("spotifyLogoutBtn");isAuthenticated?(e.style.display="none",t.style.display="block"):(e.style.display="block",t.style.display="none")}function handleLogin(){window.location.href="/auth/spotify"}async function handleLogout(){try{const e=await fetch("/api/auth/spotify/logout",{method:"POST"});(await e.json()).success&&(isAuthenticated=!1,tasteData=null,updateAuthUI(),loadArtists())}catch(e){console.error("Error logging out:",e)}}async function checkAppUser(){try{const e=await fetch("/api/auth/status"),t=await e.json();if(appUser=t.authenticated?t.user:null,appUser){const e=await fetch("/api/favorites"),t=await e.json();favoriteIds=new Set(t.success?t.favorites.map(e=>e.artist_id):[])}}catch(e){console.error("Error checking app account:",e)}}async function loadArtistComments(e,{more:t=!1}={}){const a=document.getElementById("artistComments"),n=document.getElementById("artistCommentsMore");if(!a||t&&!artistCommentsBefore)return;const s=new URLSearchParams;t?s.set("before",artistCommentsBefore):(s.set("limit",Math.min(Math.max(artistCommentThreads,COMMENTS_PAGE_SIZE),COMMENTS_PAGE_MAX)),a.textContent="Loading comments..."),n.disabled=!0;try{const r=await fetch(`/api/artists/${e}/comments?${s}`);if(!r.ok)throw new Error(`Failed to load comments: ${r.status}`);const i=await r.json();if(document.querySelector(".artist-header")?.dataset.artistId!==e)return;if(t||(a.innerHTML="",artistCommentThreads=0),artistCommentsBefore=i.nextBefore,n.hidden=!i.nextBefore,!t&&!i.comments.length)return void(a.textContent="No comments yet. Start the conversation!");artistCommentThreads+=renderCommentThreads(i.comments,a,()=>loadArtistComments(e))}catch(e){console.error("Error loading artist comments:",e),t?alert("Failed to load more comments. Please try again."):a.textContent="Failed to load comments"}finally{n.disabled=!1}}function bindArtistDiscussion(e){const t=document.getElementById("artistCommentForm"),a=document.getElementById("artistCommentTitle"),n=document.getElementById("artistCommentBody");bindCommentForm(t,a,n,`/api/artists/${e.id}/comments`,()=>loadArtistComments(e.id)),document.getElementById("artistCommentsMore").addEventListener("click",()=>loadArtistComments(e.id,{more:!0})),artistCommentsBefore=null,artistCommentThreads=0,loadArtistComments(e.id)}function renderFavoriteToggle(e){if(!appUser)return"";const t=favoriteIds.has(e);return`\n    <button class="favorite-toggle ${t?"active":""}" data-favorite-id="${escapeHtml(e)}"\n      aria-pressed="${t}" title="${t?"Remove from watchlist":"Add to watchlist"}">${t?"★":"☆"}</button>\n  `}function bindFavoriteToggles(e){e.querySelectorAll(".favorite-toggle").forEach(e=>{e.addEventListener("click",t=>{t.stopPropagation(),toggleFavorite(e.dataset.favoriteId)})})}async function toggleFavorite(e){const t=favoriteIds.has(e);try{const a=t?await fetch(`/api/favorites/${e}`,{method:"DELETE"}):await fetch("/api/favorites",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({artistId:e})});if(401===a.status)return appUser=null,favoriteIds=new Set,void showSessionExpired();const n=await a.json();if(!(n.success||t&&404===a.status))return void alert(n.error||"Failed to update watchlist");t?favoriteIds.delete(e):favoriteIds.add(e),document.querySelectorAll(`.favorite-toggle[data-favorite-id="${e}"]`).forEach(e=>{e.classList.toggle("active",!t),e.setAttribute("aria-pressed",String(!t)),e.title=t?"Add to watchlist":"Remove from watchlist",e.textContent=t?"☆":"★"}),"watchlist"===currentView&&loadArtists()}catch(e){console.error("Error updating watchlist:",e)}}async function loadNewReleases(){try{const e=await fetch("/api/releases"),t=await e.json();t.success&&displayNewReleases(t.releases)}catch(e){console.error("Error loading new releases:",e)}}async function loadMarkets(){const e=document.getElementById("marketSelect");try{const t=await fetch("/api/markets"),a=await t.json();if(!a.success)return;marketNames=Object.fromEntries(a.markets.map(e=>[e.code,e.name])),e.innerHTML=`\n      <option value="global">🌍 Global</option>\n      ${a.markets.map(e=>`<option value="${escapeHtml(e.code)}">${escapeHtml(e.name)}</option>`).join("")}\n    `;const n=new URLSearchParams(window.location.search).get("market");currentMarket=n&&("global"===n||marketNames[n])?n:a.defaultMarket,e.value=currentMarket}catch(e){console.error("Error loading markets:",e)}}function selectMarket(e){e!==currentMarket&&(currentMarket=e,setURLParam("market",e),loadArtists())}function displayArtists(e,t="global"){const a=document.getElementById("artistList");let n=LIST_HEADERS[t]||LIST_HEADERS.global;"global"===t&&"global"!==chartMarket?n=`📍 Top 50 · ${marketNames[chartMarket]||chartMarket}`:"genre"===t&&(n=`🏷️ Top ${formatGenre(currentGenre)}`);const s="personal"===t||"global"===t?`\n      <div class="list-controls">\n        <select class="list-control" id="sortSelect" aria-label="Sort artists">\n          ${Object.entries(SORT_OPTIONS).filter(([e])=>"movement"!==e||"global"===t).map(([e,a])=>`\n            <option value="${e}" ${e===listFilters.sort?"selected":""}>${"rank"===e&&"personal"===t?"Your ranking":a}</option>\n          `).join("")}\n        </select>\n        <select class="list-control" id="minPopularitySelect" aria-label="Minimum popularity">\n          ${MIN_POPULARITY_OPTIONS.map(e=>`\n            <option value="${e}" ${e===listFilters.minPopularity?"selected":""}>${0===e?"Any popularity":`⭐ ${e}+`}</option>\n          `).join("")}\n        </select>\n        <input class="list-control" id="genreFilterInput" type="search" placeholder="Filter by genre"\n          value="${escapeHtml(listFilters.genre)}" maxlength="40">\n      </div>\n    `:"",r=new URLSearchParams({market:chartMarket});"rank"!==listFilters.sort&&r.set("sort",listFilters.sort),listFilters.genre&&r.set("genre",listFilters.genre),listFilters.minPopularity&&r.set("minPopularity",String(listFilters.minPopularity));const i="global"===t?`\n      <div class="export-links">\n        <a href="/api/artists.csv?${r}" download>⬇ CSV</a>\n        <a href="/api/artists.json?${r}" download>⬇ JSON</a>\n        <a href="/feed.xml?market=${chartMarket}" target="_blank" rel="noopener">📡 Feed</a>\n      </div>\n    `:"",l=("global"===t||"genre"===t)&&chartGenres.length>0?`\n      <div class="genre-chips">\n        <button class="genre-chip ${currentGenre?"":"active"}" data-genre="">All</button>\n        ${chartGenres.map(e=>`\n          <button class="genre-chip ${e===currentGenre?"active":""}" data-genre="${escapeHtml(e)}">${escapeHtml(formatGenre(e))}</button>\n        `).join("")}\n      </div>\n    `:"",o=renderViewTabs(),c="personal"===t?renderTimeRangeTabs():"",d=!isAuthenticated||"global"!==t&&"genre"!==t?"":'<button class="save-playlist-btn" id="saveChartPlaylist">＋ Save as playlist</button>',m=`\n    <div class="list-header">\n      ${o}\n      <div class="list-title">\n        <h2>${escapeHtml(n)}</h2>\n        ${d}\n      </div>\n      ${c}\n      ${l}\n      ${s}\n      ${i}\n    </div>\n  `;if(!e||0===e.length){const e="watchlist"===t?"Star an artist to add them to your watchlist":"No artists found";return a.innerHTML=`${m}<p class="no-data">${e}</p>`,void bindListHeaderControls()}const u="following"===t&&followingCursor?'<button class="load-more-button" id="loadMoreButton">Load more</button>':"";a.innerHTML=`\n    ${m}\n    ${e.map(e=>`\n      <div class="artist-card" data-artist-id="${escapeHtml(e.id)}">\n        <div class="artist-card-image">\n          ${e.images&&e.images.length>0?`<img src="${escapeHtml(e.images[e.images.length-1].url)}" alt="${escapeHtml(e.name)}">`:`<div class="no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n        </div>\n        <div class="artist-card-content">\n          <h3 class="artist-card-name">${escapeHtml(e.name)}</h3>\n          ${renderFavoriteToggle(e.id)}\n          <p class="artist-card-genre">${e.genres&&e.genres.length>0?escapeHtml(e.genres.slice(0,2).join(", ")):"Artist"}</p>\n          <div class="artist-stats">\n            ${renderMovementBadge(e.movement)}\n            <span>⭐ ${e.popularity||"N/A"}</span>\n            ${e.followers?`<span>👥 ${formatNumber(e.followers.total||e.followers)}</span>`:""}\n          </div>\n        </div>\n      </div>\n    `).join("")}\n    ${u}\n  `,document.querySelectorAll(".artist-card").forEach(e=>{e.addEventListener("click",()=>{selectArtist(e.dataset.artistId)})}),bindFavoriteToggles(a);const p=document.getElementById("loadMoreButton");p&&p.addEventListener("click",()=>{p.disabled=!0,p.textContent="Loading...",loadFollowing(followingCursor)}),bindListHeaderControls()}function displayComparison(e){const t=document.getElementById("artistList"),a="global"===chartMarket?"Global Top 50":`${marketNames[chartMarket]||chartMarket} Top 50`,n=(e,t,a)=>`\n    <div class="compare-column">\n      <h3>${escapeHtml(e)}</h3>\n      <ol class="compare-list">\n        ${t.map(e=>`\n          <li class="compare-row ${e.shared?"shared":""}" data-artist-id="${escapeHtml(e.id)}">\n            <span class="compare-rank">${e.rank}</span>\n            ${e.images.length>0?`<img src="${escapeHtml(e.images[e.images.length-1].url)}" alt="" class="compare-image">`:`<div class="compare-image no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n            <span class="compare-name">${escapeHtml(e.name)}</span>\n            ${e.shared?`<span class="compare-other-rank" title="#${e.otherRank} in ${escapeHtml(a)}">#${e.otherRank}</span>`:""}\n          </li>\n        `).join("")}\n      </ol>\n    </div>\n  `;t.innerHTML=`\n    <div class="list-header">\n      ${renderViewTabs()}\n      <h2>⚖️ You vs ${escapeHtml(a)}</h2>\n      ${renderTimeRangeTabs()}\n    </div>\n\n    <div class="compare-summary">\n      <div class="meta-item mainstream-score">\n        <strong>${e.mainstreamScore}</strong>\n        <span>Mainstream score</span>\n      </div>\n      <div class="meta-item">\n        <strong>${e.shared.length}</strong>\n        <span>Shared</span>\n      </div>\n      <div class="meta-item">\n        <strong>${e.uniqueToYou.length}</strong>\n        <span>Only yours</span>\n      </div>\n      <div class="meta-item">\n        <strong>${e.averagePopularity}</strong>\n        <span>Avg. popularity</span>\n      </div>\n    </div>\n\n    <div class="compare-columns">\n      ${n("🎧 Your Top Artists",e.personal,a)}\n      ${n(`🌍 ${a}`,e.chart,"your top artists")}\n    </div>\n  `,bindListHeaderControls(),t.querySelectorAll(".compare-row").forEach(e=>{const a=t.querySelectorAll(`.compare-row[data-artist-id="${e.dataset.artistId}"]`);e.addEventListener("mouseenter",()=>a.forEach(e=>e.classList.add("highlight"))),e.addEventListener("mouseleave",()=>a.forEach(e=>e.classList.remove("highlight"))),e.addEventListener("click",()=>selectArtist(e.dataset.artistId))})}function displayTasteProfile(e){const t=document.getElementById("artistList"),a=e.ranges[timeRange],n=a.genres.length>0?a.genres[0].share:0,s=a.genres.length>0?a.genres.map(e=>`\n        <div class="taste-bar-row">\n          <span class="taste-bar-label">${escapeHtml(formatGenre(e.genre))}</span>\n          <div class="taste-bar-track">\n            <div class="taste-bar" data-width="${n?e.share/n*100:0}"></div>\n          </div>\n          <span class="taste-bar-value">${e.share}%</span>\n        </div>\n      `).join(""):'<p class="no-data">Spotify has no genres for these artists</p>',r=a.followerTiers.filter(e=>e.count>0).map(e=>`\n      <div class="tier-segment tier-${e.id}" data-width="${e.count/a.artistCount*100}"\n        title="${e.label} followers: ${e.count} artists"></div>\n    `).join(""),i=a.followerTiers.map(e=>`\n      <span class="tier-legend-item"><span class="tier-swatch tier-${e.id}"></span>${e.label} · ${e.count}</span>\n    `).join(""),l=Object.entries(TIME_RANGES).map(([t,a])=>`\n      <div class="taste-bar-row ${t===timeRange?"current":""}">\n        <span class="taste-bar-label">${a}</span>\n        <div class="taste-bar-track">\n          <div class="taste-bar" data-width="${e.ranges[t].averagePopularity}"></div>\n        </div>\n        <span class="taste-bar-value">${e.ranges[t].averagePopularity}</span>\n      </div>\n    `).join(""),o=(e,t)=>e.length>0?`<ul class="shift-list">${e.map(e=>`<li>${escapeHtml(formatGenre(e.genre))} <span class="shift-${t>0?"up":"down"}">${t>0?"▲":"▼"} ${Math.abs(e.change)} pts</span></li>`).join("")}</ul>`:'<p class="no-data">Nothing yet</p>',c=e.shifts.popularityChange,d=0===c?"Your recent artists are as popular as your all-time favourites.":`Your recent artists are ${Math.abs(c)} points ${c>0?"more mainstream":"more obscure"} than your all-time favourites.`;t.innerHTML=`\n    <div class="list-header">\n      ${renderViewTabs()}\n      <h2>🧬 Your Taste Profile</h2>\n      ${renderTimeRangeTabs()}\n    </div>\n\n    ${0===a.artistCount?'<p class="no-data">Not enough listening history for this time range yet</p>':`\n    <div class="taste-grid">\n      <section class="taste-card">\n        <h3>Obscurity</h3>\n        <div class="obscurity-meter">\n          <div class="obscurity-marker" data-left="${a.obscurity}"></div>\n        </div>\n        <div class="obscurity-scale"><span>Mainstream</span><strong>${a.obscurity}/100</strong><span>Underground</span></div>\n        <p class="taste-note">Your top ${a.artistCount} artists average ${a.averagePopularity} popularity on Spotify.</p>\n      </section>\n\n      <section class="taste-card">\n        <h3>Follower Tiers</h3>\n        <div class="tier-bar">${r}</div>\n        <div class="tier-legend">${i}</div>\n      </section>\n\n      <section class="taste-card taste-card-wide">\n        <h3>Top Genres</h3>\n        ${s}\n      </section>\n\n      <section class="taste-card">\n        <h3>How Your Taste Shifted</h3>\n        <p class="taste-note">${d}</p>\n        <div class="shift-columns">\n          <div><h4>Rising</h4>${o(e.shifts.rising,1)}</div>\n          <div><h4>Fading</h4>${o(e.shifts.fading,-1)}</div>\n        </div>\n      </section>\n\n      <section class="taste-card">\n        <h3>Popularity by Time Range</h3>\n        ${l}\n      </section>\n    </div>\n  `}\n  `,t.querySelectorAll("[data-width]").forEach(e=>{e.style.width=`${e.dataset.width}%`}),t.querySelectorAll("[data-left]").forEach(e=>{e.style.left=`${e.dataset.left}%`}),bindListHeaderControls()}function isViewAvailable(e){return SPOTIFY_VIEWS.includes(e)?isAuthenticated:"watchlist"!==e||Boolean(appUser)}function renderViewTabs(){const e=Object.keys(VIEWS).filter(isViewAvailable);if(e.length<2)return"";const t=isViewAvailable(currentView)?currentView:"global";return`\n    <div class="view-tabs">\n      ${e.map(e=>`\n        <button class="view-tab ${e===t?"active":""}" data-view="${e}">${VIEWS[e]}</button>\n      `).join("")}\n    </div>\n  `}function renderTimeRangeTabs(){return`\n    <div class="time-range-tabs" role="tablist">\n      ${Object.entries(TIME_RANGES).map(([e,t])=>`\n        <button class="time-range-tab ${e===timeRange?"active":""}" role="tab"\n          aria-selected="${e===timeRange}" data-time-range="${e}">${t}</button>\n      `).join("")}\n    </div>\n  `}function bindListHeaderControls(){document.querySelectorAll(".view-tab").forEach(e=>{e.addEventListener("click",()=>selectView(e.dataset.view))}),document.querySelectorAll(".time-range-tab").forEach(e=>{e.addEventListener("click",()=>selectTimeRange(e.dataset.timeRange))}),document.querySelectorAll(".genre-chip").forEach(e=>{e.addEventListener("click",()=>selectGenre(e.dataset.genre||null))});const e=document.getElementById("saveChartPlaylist");e&&e.addEventListener("click",()=>savePlaylist({source:"chart",genre:currentGenre},chartMarket,e));const t=document.getElementById("sortSelect");t&&t.addEventListener("change",()=>updateListFilters({sort:t.value}));const a=document.getElementById("minPopularitySelect");a&&a.addEventListener("change",()=>updateListFilters({minPopularity:Number(a.value)}));const n=document.getElementById("genreFilterInput");n&&n.addEventListener("change",()=>updateListFilters({genre:normalizeGenreFilter(n.value)}))}function normalizeGenreFilter(e){return e.toLowerCase().replace(/[^a-z0-9 -]/g,"").trim().slice(0,40)}function updateListFilters(e){listFilters={...listFilters,...e},setURLParam("sort","rank"===listFilters.sort?null:listFilters.sort),setURLParam("genre",listFilters.genre||null),setURLParam("minPopularity",listFilters.minPopularity?String(listFilters.minPopularity):null),loadArtists()}function selectGenre(e){e===currentGenre||e&&!chartGenres.includes(e)||(currentGenre=e,setURLParam("chart",e),loadArtists())}function selectView(e){e!==currentView&&VIEWS[e]&&(currentView=e,setURLParam("view","top"===e?null:e),loadArtists())}function renderMovementBadge(e){if(!e)return"";switch(e.status){case"up":return`<span class="movement-badge movement-up" title="Up ${e.change} from #${e.previousRank}">▲ ${e.change}</span>`;case"down":return`<span class="movement-badge movement-down" title="Down ${e.change} from #${e.previousRank}">▼ ${e.change}</span>`;case"same":return'<span class="movement-badge movement-same" title="No change">–</span>';case"new":return'<span class="movement-badge movement-new" title="New entry">NEW</span>';case"re-entry":return'<span class="movement-badge movement-reentry" title="Back in the chart">RE</span>';default:return""}}function selectTimeRange(e){e!==timeRange&&TIME_RANGES[e]&&(timeRange=e,setURLParam("timeRange","medium_term"===e?null:e),loadArtists())}async function selectArtist(e){try{document.querySelectorAll(".artist-card, .compare-row").forEach(e=>{e.classList.remove("active")});const t=document.querySelector(`[data-artist-id="${e}"]`);t&&t.classList.add("active");const a=document.getElementById("artistDetails");a.classList.add("active"),a.innerHTML='<div class="loading">Loading artist details...</div>';const n=document.getElementById("artistList");window.innerWidth<=768&&n.classList.add("hidden");const s=new URLSearchParams({market:currentMarket}),r=await fetch(`/api/artists/${e}?${s}`),i=await r.json();i.success?(displayArtistDetails(i.artist,i.topTracks,i.latestReleases),loadRelatedArtists(e)):a.innerHTML='<div class="error">Failed to load artist details</div>'}catch(e){console.error("Error loading artist details:",e),document.getElementById("artistDetails").innerHTML='<div class="error">Error loading artist details</div>'}}function displayArtistDetails(e,t,a){const n=document.getElementById("artistDetails"),s=e.images&&e.images.length>0?e.images[0].url:"";n.innerHTML=`\n    <button class="back-button" id="backButton">← Back to Artists</button>\n    \n    <div class="artist-header" data-artist-id="${escapeHtml(e.id)}">\n      <div class="artist-header-content">\n        ${s?`<img src="${escapeHtml(s)}" alt="${escapeHtml(e.name)}" class="artist-header-image">`:`<div class="artist-header-placeholder">${escapeHtml(e.name.charAt(0))}</div>`}\n        <div class="artist-header-info">\n          <h2>${escapeHtml(e.name)} ${renderFavoriteToggle(e.id)}</h2>\n          <div class="artist-meta">\n            <div class="meta-item">\n              <strong>${formatNumber(e.followers)}</strong>\n              <span>Followers</span>\n            </div>\n            <div class="meta-item">\n              <strong>${e.popularity}</strong>\n              <span>Popularity</span>\n            </div>\n          </div>\n          ${e.genres&&e.genres.length>0?`\n            <div class="artist-genre-tags">\n              ${e.genres.map(e=>`<span class="artist-genre-tag">${escapeHtml(e)}</span>`).join("")}\n            </div>\n          `:""}\n          <a href="${escapeHtml(e.spotify_url)}" target="_blank" rel="noopener noreferrer" class="spotify-link">\n            Open in Spotify →\n          </a>\n        </div>\n      </div>\n    </div>\n    \n    ${a&&a.length>0?`\n      <div class="detail-section">\n        <h3>Latest Releases</h3>\n        <div class="release-list">\n          ${a.map(e=>`\n            <button class="release-item" data-album-id="${escapeHtml(e.id)}">\n              ${e.images&&e.images.length>0?`<img src="${escapeHtml(e.images[e.images.length-1].url)}" alt="${escapeHtml(e.name)}" class="release-item-image">`:`<div class="release-item-image no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n              <div class="release-item-info">\n                <div class="track-name">${escapeHtml(e.name)}</div>\n                <div class="track-album">${formatReleaseType(e.album_type)} • ${escapeHtml(formatReleaseDate(e.release_date))}</div>\n              </div>\n            </button>\n          `).join("")}\n        </div>\n      </div>\n    `:""}\n\n    ${t&&t.length>0?`\n      <div class="detail-section" id="topTracks">\n        <div class="detail-section-header">\n          <h3>Top Tracks</h3>\n          <div class="detail-section-actions">\n            ${isAuthenticated?'<button class="save-playlist-btn" id="saveArtistPlaylist">＋ Save as playlist</button>':""}\n            ${renderPlayAllButton(t)}\n          </div>\n        </div>\n        <div class="track-list">\n          ${t.map((e,t)=>`\n            <div class="track-item">\n              <span class="track-number">${t+1}</span>\n              <div class="track-info">\n                <div class="track-name">${escapeHtml(e.name)}</div>\n                ${e.album_id?`<button class="track-album album-link" data-album-id="${escapeHtml(e.album_id)}">${escapeHtml(e.album)}</button>`:`<div class="track-album">${escapeHtml(e.album)}</div>`}\n              </div>\n              ${renderTrackPlayButton(e,t)}\n            </div>\n          `).join("")}\n        </div>\n      </div>\n    `:""}\n\n    <div class="detail-section" id="relatedArtists" hidden></div>\n\n    <div class="detail-section artist-discussion">\n      <h3>Discussion</h3>\n      <form class="comment-form" id="artistCommentForm">\n        <input type="text" id="artistCommentTitle" placeholder="${appUser?"Comment title":"Sign in to join the discussion"}" maxlength="128">\n        <textarea id="artistCommentBody" placeholder="${appUser?`What do you think of ${escapeHtml(e.name)}?`:"Sign in to join the discussion"}" maxlength="4000"></textarea>\n        <button type="submit">Post Comment</button>\n      </form>\n      <div id="artistComments" class="artist-comments"></div>\n      <button type="button" id="artistCommentsMore" class="load-more-comments" hidden>Load more</button>\n    </div>\n  `;const r=document.getElementById("backButton");r&&r.addEventListener("click",goBackToList),n.querySelectorAll("[data-album-id]").forEach(t=>{t.addEventListener("click",()=>selectAlbum(t.dataset.albumId,e))}),bindFavoriteToggles(n),bindArtistDiscussion(e);const i=document.getElementById("saveArtistPlaylist");i&&i.addEventListener("click",()=>savePlaylist({source:"artist",artistId:e.id},currentMarket,i));const l=document.getElementById("topTracks");l&&bindPreviewButtons(l,t.map(t=>({...t,artist:e.name})))}async function selectAlbum(e,t){const a=document.getElementById("artistDetails");a.scrollTop=0,a.innerHTML='<div class="loading">Loading album...</div>';try{const n=new URLSearchParams({market:currentMarket}),s=await fetch(`/api/albums/${e}?${n}`),r=await s.json();r.success?displayAlbumDetails(r.album,r.tracks,r.totalDuration,t):(a.innerHTML=`\n        <button class="album-back-button" id="albumBackButton">← Back to ${escapeHtml(t.name)}</button>\n        <div class="error">Failed to load album</div>\n      `,document.getElementById("albumBackButton").addEventListener("click",()=>selectArtist(t.id)))}catch(e){console.error("Error loading album:",e),a.innerHTML='<div class="error">Error loading album</div>'}}function displayAlbumDetails(e,t,a,n){const s=document.getElementById("artistDetails"),r=e.images&&e.images.length>0?e.images[0].url:"",i=Math.max(1,...t.map(e=>e.disc_number||1)),l=a=>{const n=e.artists.map(e=>e.id),s=a.artists.filter(e=>!n.includes(e.id));return`\n      <div class="track-item album-track">\n        <span class="track-number">${a.track_number}</span>\n        <div class="track-info">\n          <div class="track-name">\n            ${escapeHtml(a.name)}\n            ${a.explicit?'<span class="explicit-badge" title="Explicit">E</span>':""}\n          </div>\n          ${s.length>0?`<div class="track-album">feat. ${s.map(e=>escapeHtml(e.name)).join(", ")}</div>`:""}\n        </div>\n        <span class="track-duration">${formatDuration(a.duration_ms)}</span>\n        ${renderTrackPlayButton(a,t.indexOf(a))}\n      </div>\n    `};let o="";for(let e=1;e<=i;e++){const a=t.filter(t=>(t.disc_number||1)===e);0!==a.length&&(o+=`\n      ${i>1?`<h4 class="disc-heading">Disc ${e}</h4>`:""}\n      <div class="track-list">${a.map(l).join("")}</div>\n    `)}s.innerHTML=`\n    <button class="album-back-button" id="albumBackButton">← Back to ${escapeHtml(n.name)}</button>\n\n    <div class="artist-header album-header" data-album-id="${escapeHtml(e.id)}">\n      <div class="artist-header-content">\n        ${r?`<img src="${escapeHtml(r)}" alt="${escapeHtml(e.name)}" class="album-cover">`:`<div class="artist-header-placeholder album-cover">${escapeHtml(e.name.charAt(0))}</div>`}\n        <div class="artist-header-info">\n          <span class="album-type">${formatReleaseType(e.album_type)}</span>\n          <h2>${escapeHtml(e.name)}</h2>\n          <div class="album-artists">${e.artists.map(e=>escapeHtml(e.name)).join(", ")}</div>\n          <div class="artist-meta">\n            <div class="meta-item">\n              <strong>${escapeHtml(formatReleaseDate(e.release_date))}</strong>\n              <span>Released</span>\n            </div>\n            <div class="meta-item">\n              <strong>${t.length}</strong>\n              <span>${1===t.length?"Track":"Tracks"}</span>\n            </div>\n            <div class="meta-item">\n              <strong>${formatDuration(a)}</strong>\n              <span>Length</span>\n            </div>\n          </div>\n          ${e.label?`<div class="album-label">${escapeHtml(e.label)}</div>`:""}\n          <a href="${escapeHtml(e.spotify_url)}" target="_blank" rel="noopener noreferrer" class="spotify-link">\n            Open in Spotify →\n          </a>\n        </div>\n      </div>\n    </div>\n\n    <div class="detail-section" id="albumTracks">\n      <div class="detail-section-header">\n        <h3>Tracklist</h3>\n        ${renderPlayAllButton(t)}\n      </div>\n      ${o}\n      ${e.copyrights&&e.copyrights.length>0?`<div class="album-copyrights">${e.copyrights.map(e=>`<p>${escapeHtml(e)}</p>`).join("")}</div>`:""}\n    </div>\n  `,document.getElementById("albumBackButton").addEventListener("click",()=>{s.scrollTop=0,selectArtist(n.id)});const c=e.images&&e.images.length>0?e.images[e.images.length-1].url:null;bindPreviewButtons(document.getElementById("albumTracks"),t.map(e=>({...e,artist:e.artists.map(e=>e.name).join(", "),image:c})))}async function loadRelatedArtists(e){try{const t=await fetch(`/api/artists/${e}/related?limit=8`),a=await t.json(),n=document.getElementById("relatedArtists");if(!n||!a.success||document.querySelector(".artist-header")?.dataset.artistId!==e)return;displayRelatedArtists(n,a.artists)}catch(e){console.error("Error loading related artists:",e)}}function displayRelatedArtists(e,t){t&&0!==t.length&&(e.innerHTML=`\n    <h3>Fans Also Like</h3>\n    <div class="related-grid">\n      ${t.map(e=>`\n        <button class="related-card" data-artist-id="${escapeHtml(e.id)}">\n          ${e.images&&e.images.length>0?`<img src="${escapeHtml(e.images[e.images.length-1].url)}" alt="${escapeHtml(e.name)}">`:`<div class="no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n          <span class="related-card-name">${escapeHtml(e.name)}</span>\n        </button>\n      `).join("")}\n    </div>\n  `,e.hidden=!1,e.querySelectorAll(".related-card").forEach(e=>{e.addEventListener("click",()=>{document.getElementById("artistDetails").scrollTop=0,selectArtist(e.dataset.artistId)})}))}function displayNewReleases(e){const t=document.getElementById("releaseFeed");e&&0!==e.length?(t.innerHTML=`\n    <div class="list-header">\n      <h2>🆕 New This Week</h2>\n    </div>\n    <div class="release-grid">\n      ${e.map(e=>`\n        <div class="release-card" data-artist-id="${escapeHtml(e.artist_id)}">\n          ${e.images&&e.images.length>0?`<img src="${escapeHtml(e.images[0].url)}" alt="${escapeHtml(e.name)}" class="release-card-image">`:`<div class="release-card-image no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n          <div class="release-card-name">${escapeHtml(e.name)}</div>\n          <div class="release-card-artist">${escapeHtml(e.artist_name)}</div>\n          <div class="release-card-meta">${formatReleaseType(e.album_type)} • ${escapeHtml(formatReleaseDate(e.release_date))}</div>\n        </div>\n      `).join("")}\n    </div>\n  `,t.hidden=!1,t.querySelectorAll(".release-card").forEach(e=>{e.addEventListener("click",()=>selectArtist(e.dataset.artistId))})):t.hidden=!0}function handleSearchInput(e){clearTimeout(searchTimer);const t=e.target.value.trim();t.length<2?hideSearchResults():searchTimer=setTimeout(()=>runSearch(t),300)}async function runSearch(e){const t=++searchRequestId;try{const a=new URLSearchParams({q:e,type:"artist,track,album",limit:5,market:currentMarket}),n=await fetch(`/api/search?${a}`),s=await n.json();if(t!==searchRequestId)return;s.success?displaySearchResults(s):showSearchMessage(s.error||"Search failed")}catch(e){console.error("Error searching:",e),t===searchRequestId&&showSearchMessage("Error connecting to server")}}function displaySearchResults(e){const t=e.artists?e.artists.items:[],a=e.tracks?e.tracks.items:[],n=e.albums?e.albums.items:[];if(!t.length&&!a.length&&!n.length)return void showSearchMessage("No results found");const s=(e,t,a)=>t.length>0?`\n      <div class="search-group">\n        <h4>${e}</h4>\n        ${t.map(e=>{const t=e.artists?e.artists[0]?.id:e.id,n=e.images||e.album?.images||[],s=escapeHtml(e.name);return`\n          <button class="search-result" data-artist-id="${escapeHtml(t)}">\n            ${n.length>0?`<img src="${escapeHtml(n[n.length-1].url)}" alt="${s}">`:`<div class="no-image">${escapeHtml(e.name.charAt(0))}</div>`}\n            <span class="search-result-text">\n              <span class="search-result-name">${s}</span>\n              <span class="search-result-meta">${a(e)}</span>\n            </span>\n          </button>\n        `}).join("")}\n      </div>\n    `:"",r=e=>e.artists.map(e=>escapeHtml(e.name)).join(", "),i=document.getElementById("searchResults");i.innerHTML=`\n    ${s("Artists",t,e=>`👥 ${formatNumber(e.followers)}`)}\n    ${s("Tracks",a,r)}\n    ${s("Albums",n,e=>`${r(e)} • ${formatReleaseType(e.album_type)}`)}\n  `,i.hidden=!1,i.querySelectorAll(".search-result").forEach(e=>{e.addEventListener("click",()=>{e.dataset.artistId&&(hideSearchResults(),document.getElementById("searchInput").value="",selectArtist(e.dataset.artistId))})})}function showSearchMessage(e){const t=document.getElementById("searchResults");t.innerHTML=`<p class="search-message">${escapeHtml(e)}</p>`,t.hidden=!1}function hideSearchResults(){const e=document.getElementById("searchResults");e.hidden=!0,e.innerHTML=""}async function savePlaylist(e,t,a){const n=()=>{confirm("Saving playlists needs permission to create private playlists on your Spotify account. Connect now?")&&(window.location.href="/auth/spotify?playlists=1")};if(!canCreatePlaylists)return void n();const s=a.textContent;a.disabled=!0,a.textContent="Saving…";try{const r=new URLSearchParams({market:t}),i=await fetch(`/api/playlists?${r}`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(e)}),l=await i.json();if(l.success){const e=document.createElement("a");return e.href=l.playlist.url,e.target="_blank",e.rel="noopener noreferrer",e.className="save-playlist-btn saved",e.textContent=`✓ Saved ${l.playlist.trackCount} tracks — open`,void a.replaceWith(e)}a.disabled=!1,a.textContent=s,"SPOTIFY_SCOPE_MISSING"===l.error?(canCreatePlaylists=!1,n()):alert(l.message||l.error||"Failed to save playlist")}catch(e){console.error("Error saving playlist:",e),a.disabled=!1,a.textContent=s,alert("Error saving playlist")}}function renderTrackPlayButton(e,t){if(!e.preview_url)return`\n      <a href="${escapeHtml(e.spotify_url)}" target="_blank" rel="noopener noreferrer" class="track-play" title="Open in Spotify">\n        ▶\n      </a>\n    `;return`\n    <button class="track-play${playerQueue[playerIndex]?.id===e.id?" playing":""}" data-preview-index="${t}" data-track-id="${escapeHtml(e.id)}"\n      aria-label="Play preview of ${escapeHtml(e.name)}">▶</button>\n  `}function renderPlayAllButton(e){return e.some(e=>e.preview_url)?'<button class="play-all-btn" data-play-all>▶ Play all</button>':""}function bindPreviewButtons(e,t){const a=t.filter(e=>e.preview_url),n=e=>({id:e.id,name:e.name,artist:e.artist,image:e.image||null,preview_url:e.preview_url,spotify_url:e.spotify_url});e.querySelectorAll("[data-preview-index]").forEach(e=>{e.addEventListener("click",()=>{const s=t[Number(e.dataset.previewIndex)];playQueue(a.map(n),a.indexOf(s))})});const s=e.querySelector("[data-play-all]");s&&s.addEventListener("click",()=>playQueue(a.map(n),0))}function playQueue(e,t){0!==e.length&&(playerQueue=e,playTrackAt(Math.max(0,t)))}function playTrackAt(e){const t=document.getElementById("previewAudio");e<0||e>=playerQueue.length||(e!==playerIndex||t.src!==playerQueue[e].preview_url?(playerIndex=e,t.src=playerQueue[e].preview_url,t.play().catch(e=>console.error("Error playing preview:",e)),renderPlayer()):togglePlayback())}function togglePlayback(){const e=document.getElementById("previewAudio");e.src&&(e.paused?e.play().catch(e=>console.error("Error playing preview:",e)):e.pause())}function playNext(){playerIndex<playerQueue.length-1&&playTrackAt(playerIndex+1)}function playPrevious(){const e=document.getElementById("previewAudio");e.currentTime>3||0===playerIndex?e.currentTime=0:playTrackAt(playerIndex-1)}function closePlayer(){const e=document.getElementById("previewAudio");e.pause(),e.removeAttribute("src"),playerQueue=[],playerIndex=-1,renderPlayer()}function renderPlayer(){const e=document.getElementById("miniPlayer"),t=playerQueue[playerIndex];if(e.hidden=!t,document.body.classList.toggle("has-player",Boolean(t)),document.querySelectorAll(".track-play[data-track-id]").forEach(e=>{e.classList.toggle("playing",Boolean(t)&&e.dataset.trackId===t.id)}),!t)return;document.getElementById("playerNowPlaying").innerHTML=`\n    ${t.image?`<img src="${escapeHtml(t.image)}" alt="" class="player-image">`:`<div class="player-image no-image">${escapeHtml(t.name.charAt(0))}</div>`}\n    <div class="player-track-info">\n      <a href="${escapeHtml(t.spotify_url)}" target="_blank" rel="noopener noreferrer" class="player-track-name">${escapeHtml(t.name)}</a>\n      <div class="player-track-artist">${escapeHtml(t.artist)}</div>\n    </div>\n  `,document.getElementById("playerPrev").disabled=0===playerIndex,document.getElementById("playerNext").disabled=playerIndex>=playerQueue.length-1;const a=document.getElementById("playerQueue");a.innerHTML=playerQueue.map((e,t)=>`\n    <li>\n      <button class="player-queue-item${t===playerIndex?" current":""}" data-queue-index="${t}">\n        <span class="player-queue-name">${escapeHtml(e.name)}</span>\n        <span class="player-queue-artist">${escapeHtml(e.artist)}</span>\n      </button>\n    </li>\n  `).join(""),a.querySelectorAll("[data-queue-index]").forEach(e=>{e.addEventListener("click",()=>playTrackAt(Number(e.dataset.queueIndex)))})}function updatePlayerState(){const e=document.getElementById("previewAudio"),t=document.getElementById("playerToggle");t.textContent=e.paused?"▶":"⏸",t.setAttribute("aria-label",e.paused?"Play":"Pause")}function initPlayer(){const e=document.getElementById("previewAudio");if(!e)return;e.addEventListener("play",updatePlayerState),e.addEventListener("pause",updatePlayerState),e.addEventListener("ended",()=>{playerIndex<playerQueue.length-1?playNext():updatePlayerState()}),e.addEventListener("timeupdate",()=>{const t=e.duration?e.currentTime/e.duration*100:0;document.getElementById("playerProgress").style.width=`${t}%`}),e.addEventListener("error",()=>{e.src&&(console.error("Preview failed to load:",playerQueue[playerIndex]?.name),playNext())}),document.getElementById("playerToggle").addEventListener("click",togglePlayback),document.getElementById("playerPrev").addEventListener("click",playPrevious),document.getElementById("playerNext").addEventListener("click",playNext),document.getElementById("playerClose").addEventListener("click",closePlayer);const t=document.getElementById("playerQueueToggle");t.addEventListener("click",()=>{const e=document.getElementById("playerQueue");e.hidden=!e.hidden,t.setAttribute("aria-expanded",String(!e.hidden))})}function goBackToList(){const e=document.getElementById("artistList"),t=document.getElementById("artistDetails");e.classList.remove("hidden"),t.classList.remove("active"),document.querySelectorAll(".artist-card").forEach(e=>{e.classList.remove("active")})}function showLoading(){document.getElementById("artistList").innerHTML='\n    <div class="loading-container">\n      <div class="loading-spinner"></div>\n      <p>Loading artists...</p>\n    </div>\n  '}function showError(e){document.getElementById("artistList").innerHTML=`\n    <div class="error-container">\n      <p class="error-message">${escapeHtml(e)}</p>\n      <button onclick="loadArtists()" class="retry-button">Retry</button>\n    </div>\n  `}function setURLParam(e,t){const a=new URL(window.location.href);t?a.searchParams.set(e,t):a.searchParams.delete(e),window.history.replaceState({},document.title,a.pathname+a.search)}function formatReleaseType(e){return"single"===e?"Single":"compilation"===e?"Compilation":"Album"}function formatReleaseDate(e){return e.split("-").length<3?e:new Date(`${e}T00:00:00`).toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"})}function formatDuration(e){const t=Math.round((e||0)/1e3),a=Math.floor(t/3600),n=Math.floor(t%3600/60),s=String(t%60).padStart(2,"0");return a>0?`${a}:${String(n).padStart(2,"0")}:${s}`:`${n}:${s}`}function formatGenre(e){return e.replace(/(^|[\s-])([a-z])/g,(e,t,a)=>t+a.toUpperCase())}function formatNumber(e){return e>=1e6?(e/1e6).toFixed(1)+"M":e>=1e3?(e/1e3).toFixed(1)+"K":e.toString()}function checkForAuthMessages(){const e=new URLSearchParams(window.location.search),t=e.get("error"),a=e.get("auth");if(t){let e="Authentication failed";"spotify_auth_failed"===t?e="Spotify authentication failed. Please try again.":"invalid_state"===t?e="Invalid authentication state. Please try again.":"token_exchange_failed"===t&&(e="Failed to exchange token. Please try again."),console.error(e),window.history.replaceState({},document.title,"/")}"success"===a&&(console.log("Successfully authenticated!"),window.history.replaceState({},document.title,"/"))}function showSessionExpired(e="Your session expired. You’ve been signed out."){const t=document.createElement("div");t.className="session-expired-banner",t.textContent=e,document.body.prepend(t),setTimeout(()=>t.remove(),5e3)}async function loadArtists(){if(document.getElementById("artistList").classList.toggle("wide",WIDE_VIEWS.includes(currentView)&&isAuthenticated),"following"===currentView&&isAuthenticated)return loadFollowing();if("compare"===currentView&&isAuthenticated)return loadComparison();if("taste"===currentView&&isAuthenticated)return loadTasteProfile();if("watchlist"===currentView&&appUser)return loadWatchlist();if(currentGenre&&("global"===currentView||!isAuthenticated))return loadGenreChart();try{showLoading();const e=new URLSearchParams({timeRange:timeRange,market:currentMarket});"global"===currentView&&e.set("source","global"),"rank"===listFilters.sort||"movement"===listFilters.sort&&"global"!==currentView&&isAuthenticated||e.set("sort",listFilters.sort),listFilters.genre&&e.set("genre",listFilters.genre),listFilters.minPopularity&&e.set("minPopularity",listFilters.minPopularity);const t=await fetch(`/api/artists?${e}`);if(401===t.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const a=await t.json();a.success?(artistsData=a.artists,chartMarket=a.market||"global",displayArtists(artistsData,a.source)):showError("Failed to load artists")}catch(e){console.error("Error loading artists:",e),showError("Error connecting to server")}}async function loadComparison(){try{showLoading();const e=new URLSearchParams({timeRange:timeRange,market:currentMarket}),t=await fetch(`/api/compare?${e}`);if(401===t.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const a=await t.json();a.success?(chartMarket=a.market,displayComparison(a)):showError("Failed to compare with the chart")}catch(e){console.error("Error loading comparison:",e),showError("Error connecting to server")}}async function loadWatchlist(){try{showLoading();const e=await fetch("/api/favorites/artists");if(401===e.status)return appUser=null,favoriteIds=new Set,showSessionExpired(),void loadArtists();const t=await e.json();t.success?(artistsData=t.artists,displayArtists(artistsData,"watchlist")):showError("Failed to load your watchlist")}catch(e){console.error("Error loading watchlist:",e),showError("Error connecting to server")}}async function loadTasteProfile(){if(tasteData)displayTasteProfile(tasteData);else try{showLoading();const e=await fetch("/api/me/taste");if(401===e.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const t=await e.json();t.success?(tasteData=t,displayTasteProfile(t)):showError("Failed to load your taste profile")}catch(e){console.error("Error loading taste profile:",e),showError("Error connecting to server")}}async function loadFollowing(e=null){try{e||showLoading();const t=new URLSearchParams({limit:50});e&&t.set("after",e);const a=await fetch(`/api/me/following?${t}`);if(401===a.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const n=await a.json();n.success?(artistsData=e?artistsData.concat(n.artists):n.artists,followingCursor=n.next,displayArtists(artistsData,"following")):showError(n.message||"Failed to load followed artists")}catch(e){console.error("Error loading followed artists:",e),showError("Error connecting to server")}}async function loadGenres(){try{const e=await fetch("/api/genres"),t=await e.json();t.success&&(chartGenres=t.genres.map(e=>e.genre))}catch(e){console.error("Error loading genres:",e)}}async function loadGenreChart(){try{showLoading();const e=new URLSearchParams({market:currentMarket}),t=await fetch(`/api/genres/${encodeURIComponent(currentGenre)}/artists?${e}`);if(401===t.status)return isAuthenticated=!1,updateAuthUI(),void showSessionExpired();const a=await t.json();a.success?(artistsData=a.artists,chartMarket=a.market,displayArtists(artistsData,"genre")):showError("Failed to load genre chart")}catch(e){console.error("Error loading genre chart:",e),showError("Error connecting to server")}}document.addEventListener("DOMContentLoaded",async()=>{checkForAuthMessages();const e=new URLSearchParams(window.location.search);VIEWS[e.get("view")]&&(currentView=e.get("view")),TIME_RANGES[e.get("timeRange")]&&(timeRange=e.get("timeRange")),SORT_OPTIONS[e.get("sort")]&&(listFilters.sort=e.get("sort")),e.get("genre")&&(listFilters.genre=normalizeGenreFilter(e.get("genre"))),MIN_POPULARITY_OPTIONS.includes(Number(e.get("minPopularity")))&&(listFilters.minPopularity=Number(e.get("minPopularity"))),await checkAuthStatus(),await checkAppUser(),document.addEventListener("appauthchange",async()=>{await checkAppUser(),appUser||(favoriteIds=new Set,"watchlist"===currentView&&(currentView="global")),loadArtists();const e=document.querySelector(".artist-header")?.dataset.artistId;e&&selectArtist(e)}),await loadMarkets(),await loadGenres();const t=new URLSearchParams(window.location.search).get("chart");t&&chartGenres.includes(t)&&(currentGenre=t);const a=document.getElementById("spotifyLoginBtn"),n=document.getElementById("spotifyLogoutBtn");a&&a.addEventListener("click",handleLogin),n&&n.addEventListener("click",handleLogout);const s=document.getElementById("marketSelect");s&&s.addEventListener("change",()=>selectMarket(s.value));const r=document.getElementById("searchInput");r&&(r.addEventListener("input",handleSearchInput),r.addEventListener("keydown",e=>{"Escape"===e.key&&(hideSearchResults(),r.blur())}),document.addEventListener("click",e=>{e.target.closest(".search-box")||hideSearchResults()})),initPlayer(),loadArtists(),loadNewReleases()});
\ No newline at end of file
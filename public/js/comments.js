@@ -1,10 +1,16 @@
 // ===========================
 // ELEMENTS
 // ===========================
+// The comment form, list and auth controls only exist on the comments page.
+// The auth modal and comment threads are also used by the artist discussion on
+// the main page, which loads this file before app.js.
 const form = document.getElementById("commentForm");
 const titleInput = document.getElementById("title");
 const bodyInput = document.getElementById("body");
 const commentsContainer = document.getElementById("comments");
+const commentSort = document.getElementById("commentSort");
+const commentSearch = document.getElementById("commentSearch");
+const loadMoreBtn = document.getElementById("loadMoreComments");
 
 const loginBtn = document.getElementById("loginBtn");
 const logoutBtn = document.getElementById("logoutBtn");
@@ -20,10 +26,19 @@ const authSwitchBtn = document.getElementById("authSwitchBtn");
 const authError = document.getElementById("authError");
 const authCloseBtn = document.getElementById("authCloseBtn");
 
-let isAuthenticated = false;
+let isSignedIn = false;
 let authMode = "login";
 let currentUser = null;
 
+// Comments page paging: mirrors COMMENTS_PAGE_SIZE / COMMENTS_PAGE_MAX on the server
+const COMMENTS_PAGE_SIZE = 20;
+const COMMENTS_PAGE_MAX = 50;
+const COMMENT_SEARCH_DEBOUNCE = 300;
+let nextBefore = null;
+let shownThreads = 0;
+let commentsRequest = 0;
+let commentSearchTimer = null;
+
 
 // ===========================
 // AUTH STATUS CHECK
@@ -44,10 +59,14 @@ async function checkAuth() {
 
     const data = await res.json();
 
-    isAuthenticated = !!data.authenticated;
+    isSignedIn = !!data.authenticated;
     currentUser = data.user?.username || null;
 
-    if (isAuthenticated) {
+    if (!commentsContainer) {
+      return;
+    }
+
+    if (isSignedIn) {
       authStatus.textContent = `Signed in as ${currentUser}`;
       loginBtn.hidden = true;
       logoutBtn.hidden = false;
@@ -62,15 +81,17 @@ async function checkAuth() {
   } catch (err) {
     console.error("Auth check failed", err);
     // Assume not authenticated on error
-    isAuthenticated = false;
+    isSignedIn = false;
     currentUser = null;
-    updateCommentFormState();
+    if (form) {
+      updateCommentFormState();
+    }
   }
 }
 
 
 function updateCommentFormState() {
-  const disabled = !isAuthenticated;
+  const disabled = !isSignedIn;
   titleInput.disabled = disabled;
   bodyInput.disabled = disabled;
   
@@ -107,7 +128,9 @@ function closeAuthModal() {
   authError.textContent = "";
 }
 
-loginBtn.onclick = () => openAuthModal("login");
+if (loginBtn) {
+  loginBtn.onclick = () => openAuthModal("login");
+}
 authCloseBtn.onclick = closeAuthModal;
 
 // Close modal on outside click
@@ -166,6 +189,7 @@ authSubmitBtn.onclick = async () => {
     setTimeout(async () => {
       closeAuthModal();
       await checkAuth();
+      notifyAuthChange();
     }, 700);
   } catch (err) {
     console.error("Auth error:", err);
@@ -177,94 +201,244 @@ authSubmitBtn.onclick = async () => {
   }
 };
 
+// Lets the main page refresh stars and discussions after signing in or out
+function notifyAuthChange() {
+  document.dispatchEvent(new CustomEvent("appauthchange", { detail: { user: currentUser } }));
+}
+
 // ===========================
 // LOGOUT
 // ===========================
-logoutBtn.onclick = async () => {
-  try {
-    await fetch("/api/auth/logout", { method: "POST" });
-    await checkAuth();
-  } catch (err) {
-    console.error("Logout error:", err);
-    // Still update UI even if request fails
-    isAuthenticated = false;
-    currentUser = null;
-    updateCommentFormState();
-    authStatus.textContent = "Sign in to post comments";
-    loginBtn.hidden = false;
-    logoutBtn.hidden = true;
-  }
-};
+if (logoutBtn) {
+  logoutBtn.onclick = async () => {
+    try {
+      await fetch("/api/auth/logout", { method: "POST" });
+      await checkAuth();
+      notifyAuthChange();
+    } catch (err) {
+      console.error("Logout error:", err);
+      // Still update UI even if request fails
+      isSignedIn = false;
+      currentUser = null;
+      updateCommentFormState();
+      authStatus.textContent = "Sign in to post comments";
+      loginBtn.hidden = false;
+      logoutBtn.hidden = true;
+    }
+  };
+}
 
 // ===========================
 // COMMENT GUARD
 // ===========================
-[titleInput, bodyInput].forEach(el => {
-  el.addEventListener("focus", () => {
-    if (!isAuthenticated) {
-      openAuthModal("login");
-      el.blur();
-    }
+function guardCommentInputs(inputs) {
+  inputs.forEach(el => {
+    el.addEventListener("focus", () => {
+      if (!isSignedIn) {
+        openAuthModal("login");
+        el.blur();
+      }
+    });
   });
-});
+}
 
 // ===========================
 // LOAD COMMENTS
 // ===========================
-async function loadComments() {
-  commentsContainer.textContent = "Loading comments...";
+// Loads the first page, or the next one with { more: true }. Reloading after a
+// reply, edit or delete asks for as many threads as are already on screen so
+// the reader doesn't lose their place.
+async function loadComments({ more = false } = {}) {
+  if (more && !nextBefore) return;
+
+  const request = ++commentsRequest;
+  const params = new URLSearchParams({ sort: commentSort.value });
+  const search = commentSearch.value.trim();
+
+  if (search) {
+    params.set("search", search);
+  }
+
+  if (more) {
+    params.set("before", nextBefore);
+  } else {
+    params.set("limit", Math.min(Math.max(shownThreads, COMMENTS_PAGE_SIZE), COMMENTS_PAGE_MAX));
+    commentsContainer.textContent = "Loading comments...";
+  }
+
+  loadMoreBtn.disabled = true;
+  loadMoreBtn.textContent = "Loading...";
 
   try {
-    const res = await fetch("/api/comments");
+    const res = await fetch(`/api/comments?${params}`);
     
     if (!res.ok) {
       throw new Error(`Failed to load comments: ${res.status}`);
     }
     
-    const comments = await res.json();
+    const data = await res.json();
+
+    // A newer search or sort has already replaced this list
+    if (request !== commentsRequest) return;
 
-    commentsContainer.innerHTML = "";
+    if (!more) {
+      commentsContainer.innerHTML = "";
+      shownThreads = 0;
+    }
+
+    nextBefore = data.nextBefore;
+    loadMoreBtn.hidden = !nextBefore;
 
-    if (!comments.length) {
-      commentsContainer.textContent = "No comments yet. Be the first to share your thoughts!";
+    if (!more && !data.comments.length) {
+      commentsContainer.textContent = search
+        ? "No comments match your search."
+        : "No comments yet. Be the first to share your thoughts!";
       return;
     }
 
-    comments.forEach(renderComment);
+    shownThreads += renderCommentThreads(data.comments);
   } catch (err) {
     console.error("Load comments error:", err);
-    commentsContainer.textContent = "Failed to load comments. Please refresh the page.";
+    if (request !== commentsRequest) return;
+
+    if (more) {
+      alert("Failed to load more comments. Please try again.");
+    } else {
+      commentsContainer.textContent = "Failed to load comments. Please refresh the page.";
+      loadMoreBtn.hidden = true;
+    }
+  } finally {
+    if (request === commentsRequest) {
+      loadMoreBtn.disabled = false;
+      loadMoreBtn.textContent = "Load more";
+    }
   }
 }
 
-function renderComment(comment) {
-  const div = document.createElement("div");
-  div.className = "comment";
+// Start over from the first page, e.g. after the sort or search changes
+function reloadComments() {
+  shownThreads = 0;
+  nextBefore = null;
+  loadComments();
+}
 
-  // Escape HTML to prevent XSS (defense in depth)
-  const escapeHtml = (text) => {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  };
+if (commentSearch) {
+  commentSearch.addEventListener("input", () => {
+    clearTimeout(commentSearchTimer);
+    commentSearchTimer = setTimeout(reloadComments, COMMENT_SEARCH_DEBOUNCE);
+  });
+}
+
+if (loadMoreBtn) {
+  loadMoreBtn.onclick = () => loadComments({ more: true });
+
+  // Infinite scroll: fetch the next page as the button comes into view
+  new IntersectionObserver((entries) => {
+    if (entries[0].isIntersecting && !loadMoreBtn.disabled) {
+      loadComments({ more: true });
+    }
+  }).observe(loadMoreBtn);
+}
+
+// ===========================
+// THREADS
+// ===========================
+// Mirrors MAX_COMMENT_DEPTH on the server: top-level comments are depth 0
+const MAX_REPLY_DEPTH = 3;
+
+// The API returns a flat list in the chosen sort order. Top-level comments
+// keep that order; replies are read oldest first underneath their parent.
+function buildCommentThreads(comments) {
+  const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  byId.forEach((comment) => {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+
+  byId.forEach((comment) => comment.replies.sort((a, b) => a.id - b.id));
+
+  return threads;
+}
+
+// Returns how many threads were added
+function renderCommentThreads(comments, container = commentsContainer, onChange = loadComments) {
+  const threads = buildCommentThreads(comments);
+  threads.forEach((comment) => renderComment(comment, container, onChange));
+  return threads.length;
+}
+
+// Escape text for HTML content and quoted attributes to prevent XSS. The main
+// page uses this too, for Spotify catalog text it puts into innerHTML.
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+if (commentSort) {
+  commentSort.addEventListener("change", reloadComments);
+}
+
+// Render a comment and its replies into a list; onChange reloads whichever
+// list it came from after a reply or delete
+function renderComment(comment, container = commentsContainer, onChange = loadComments) {
+  const div = document.createElement("div");
+  div.className = comment.deleted ? "comment comment-deleted" : "comment";
 
-  const safeTitle = escapeHtml(comment.title);
-  const safeBody = escapeHtml(comment.body);
-  const safeUsername = escapeHtml(comment.username);
   const formattedDate = new Date(comment.created_at).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'short',
     day: 'numeric'
   });
 
-  div.innerHTML = `
-    <h4>${safeTitle}</h4>
-    <small>${safeUsername} • ${formattedDate}</small>
-    <p>${safeBody}</p>
-  `;
+  if (comment.deleted) {
+    div.innerHTML = `
+      <small>[deleted] • ${formattedDate}</small>
+      <p class="comment-placeholder">[deleted]</p>
+    `;
+  } else {
+    const safeTitle = escapeHtml(comment.title);
+    const safeBody = escapeHtml(comment.body);
+    const safeUsername = escapeHtml(comment.username);
+
+    div.innerHTML = `
+      ${safeTitle ? `<h4>${safeTitle}</h4>` : ''}
+      <small>${safeUsername} • ${formattedDate}${comment.edited_at ? ' • <button class="comment-edited" type="button">edited</button>' : ''}</small>
+      <p>${safeBody}</p>
+    `;
+
+    const editedBtn = div.querySelector(".comment-edited");
+    if (editedBtn) {
+      editedBtn.onclick = () => toggleCommentHistory(div, comment);
+    }
+  }
+
+  if (!comment.deleted) {
+    div.appendChild(renderVoteControls(comment));
+  }
+
+  if (isSignedIn && !comment.deleted && comment.depth < MAX_REPLY_DEPTH) {
+    const replyBtn = document.createElement("button");
+    replyBtn.textContent = "Reply";
+    replyBtn.className = "comment-reply";
+    replyBtn.onclick = () => toggleReplyForm(div, comment, onChange);
+    div.appendChild(replyBtn);
+  }
+
+  // Only show edit and delete for YOUR comments
+  if (isSignedIn && !comment.deleted && comment.username === currentUser) {
+    const editBtn = document.createElement("button");
+    editBtn.textContent = "Edit";
+    editBtn.className = "comment-edit";
+    editBtn.onclick = () => toggleEditForm(div, comment, onChange);
+    div.appendChild(editBtn);
 
-  // Only show delete for YOUR comments
-  if (isAuthenticated && comment.username === currentUser) {
     const delBtn = document.createElement("button");
     delBtn.textContent = "Delete";
     delBtn.className = "comment-delete";
@@ -289,7 +463,7 @@ function renderComment(comment) {
           return;
         }
         
-        await loadComments();
+        await onChange();
       } catch (err) {
         console.error("Delete error:", err);
         alert("Network error. Please try again.");
@@ -301,83 +475,418 @@ function renderComment(comment) {
     div.appendChild(delBtn);
   }
 
-  commentsContainer.appendChild(div);
-}
+  if (comment.replies?.length) {
+    const count = comment.replies.length;
+    const label = count === 1 ? "1 reply" : `${count} replies`;
+
+    const toggle = document.createElement("button");
+    toggle.className = "comment-replies-toggle";
+    toggle.textContent = `Hide ${label}`;
+    toggle.setAttribute("aria-expanded", "true");
+
+    const replies = document.createElement("div");
+    replies.className = "comment-replies";
+    comment.replies.forEach((reply) => renderComment(reply, replies, onChange));
+
+    toggle.onclick = () => {
+      const collapsed = !replies.hidden;
+      replies.hidden = collapsed;
+      toggle.textContent = `${collapsed ? "Show" : "Hide"} ${label}`;
+      toggle.setAttribute("aria-expanded", String(!collapsed));
+    };
+
+    div.appendChild(toggle);
+    div.appendChild(replies);
+  }
 
+  container.appendChild(div);
+}
 
 // ===========================
-// POST COMMENT
+// VOTES
 // ===========================
-form.addEventListener("submit", async e => {
-  e.preventDefault();
+// Up/down arrows around the score. Your own comments show the score only.
+function renderVoteControls(comment) {
+  const votes = document.createElement("div");
+  votes.className = "comment-votes";
+  votes.innerHTML = `
+    <button class="vote-btn vote-up" type="button" aria-label="Upvote">▲</button>
+    <span class="vote-score"></span>
+    <button class="vote-btn vote-down" type="button" aria-label="Downvote">▼</button>
+  `;
 
-  if (!isAuthenticated) {
-    openAuthModal("login");
-    return;
+  const upBtn = votes.querySelector(".vote-up");
+  const downBtn = votes.querySelector(".vote-down");
+  const scoreEl = votes.querySelector(".vote-score");
+  let myVote = comment.myVote || 0;
+
+  const update = (score) => {
+    scoreEl.textContent = score;
+    upBtn.classList.toggle("active", myVote === 1);
+    downBtn.classList.toggle("active", myVote === -1);
+    upBtn.setAttribute("aria-pressed", String(myVote === 1));
+    downBtn.setAttribute("aria-pressed", String(myVote === -1));
+  };
+
+  update(comment.score);
+
+  if (isSignedIn && comment.username === currentUser) {
+    upBtn.disabled = true;
+    downBtn.disabled = true;
+    votes.title = "You can't vote on your own comment";
+    return votes;
   }
 
-  const title = titleInput.value.trim();
-  const body = bodyInput.value.trim();
-  
-  if (!title || !body) {
-    alert("Please fill in both title and body");
+  const vote = async (value) => {
+    if (!isSignedIn) {
+      openAuthModal("login");
+      return;
+    }
+
+    // Clicking your current vote again takes it back
+    const removing = myVote === value;
+
+    upBtn.disabled = true;
+    downBtn.disabled = true;
+
+    try {
+      const res = await fetch(`/api/comments/${comment.id}/vote`, {
+        method: removing ? "DELETE" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: removing ? undefined : JSON.stringify({ value })
+      });
+
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        alert(data.error || "Failed to record vote");
+        return;
+      }
+
+      myVote = data.myVote;
+      update(data.score);
+    } catch (err) {
+      console.error("Vote error:", err);
+      alert("Network error. Please try again.");
+    } finally {
+      upBtn.disabled = false;
+      downBtn.disabled = false;
+    }
+  };
+
+  upBtn.onclick = () => vote(1);
+  downBtn.onclick = () => vote(-1);
+
+  return votes;
+}
+
+// Show (or hide) the earlier versions of an edited comment
+async function toggleCommentHistory(commentEl, comment) {
+  const existing = commentEl.querySelector(":scope > .comment-history");
+  if (existing) {
+    existing.remove();
     return;
   }
 
-  if (title.length > 128) {
-    alert("Title must be 128 characters or less");
+  const history = document.createElement("div");
+  history.className = "comment-history";
+  history.textContent = "Loading edit history...";
+  commentEl.querySelector(":scope > p").after(history);
+
+  try {
+    const res = await fetch(`/api/comments/${comment.id}/revisions`);
+
+    if (!res.ok) {
+      throw new Error(`Failed to load edit history: ${res.status}`);
+    }
+
+    const revisions = await res.json();
+
+    if (!revisions.length) {
+      history.textContent = "No earlier versions.";
+      return;
+    }
+
+    history.innerHTML = revisions.map((revision) => {
+      const replacedOn = new Date(revision.created_at).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+      return `
+        <div class="comment-revision">
+          <small>Replaced ${replacedOn}</small>
+          ${revision.title ? `<h5>${escapeHtml(revision.title)}</h5>` : ''}
+          <p>${escapeHtml(revision.body)}</p>
+        </div>
+      `;
+    }).join("");
+  } catch (err) {
+    console.error("Load edit history error:", err);
+    history.textContent = "Failed to load edit history.";
+  }
+}
+
+// Swap a comment's text for an inline edit form, or put it back
+function toggleEditForm(commentEl, comment, onChange) {
+  const existing = commentEl.querySelector(":scope > .edit-form");
+  if (existing) {
+    existing.remove();
     return;
   }
 
-  if (body.length > 4000) {
-    alert("Comment must be 4000 characters or less");
+  // Replies have no title to edit
+  const hasTitle = !comment.parent_id;
+
+  const editForm = document.createElement("form");
+  editForm.className = "comment-form edit-form";
+  editForm.innerHTML = `
+    ${hasTitle ? '<input type="text" maxlength="128">' : ''}
+    <textarea maxlength="4000"></textarea>
+    <button type="submit">Save</button>
+    <button type="button" class="edit-cancel">Cancel</button>
+  `;
+
+  const editTitle = editForm.querySelector("input");
+  const editBody = editForm.querySelector("textarea");
+  const saveBtn = editForm.querySelector('button[type="submit"]');
+
+  // Set through value so the text isn't parsed as HTML
+  if (editTitle) {
+    editTitle.value = comment.title;
+  }
+  editBody.value = comment.body;
+
+  editForm.querySelector(".edit-cancel").onclick = () => editForm.remove();
+
+  editForm.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const title = editTitle ? editTitle.value.trim() : undefined;
+    const body = editBody.value.trim();
+
+    if ((editTitle && !title) || !body) {
+      alert(editTitle ? "Please fill in both title and body" : "Please write a reply first");
+      return;
+    }
+
+    if (title && title.length > 128) {
+      alert("Title must be 128 characters or less");
+      return;
+    }
+
+    if (body.length > 4000) {
+      alert("Comment must be 4000 characters or less");
+      return;
+    }
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = "Saving...";
+
+    try {
+      const res = await fetch(`/api/comments/${comment.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title, body })
+      });
+
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.error || "Failed to save comment");
+        return;
+      }
+
+      await onChange();
+    } catch (err) {
+      console.error("Edit comment error:", err);
+      alert("Network error. Please try again.");
+    } finally {
+      saveBtn.disabled = false;
+      saveBtn.textContent = "Save";
+    }
+  });
+
+  commentEl.querySelector(":scope > p").after(editForm);
+  editBody.focus();
+}
+
+// Open (or close) the inline reply box under a comment
+function toggleReplyForm(commentEl, comment, onChange) {
+  const existing = commentEl.querySelector(":scope > .reply-form");
+  if (existing) {
+    existing.remove();
     return;
   }
 
-  const submitBtn = form.querySelector('button[type="submit"]');
-  const originalText = submitBtn.textContent;
-  submitBtn.disabled = true;
-  submitBtn.textContent = "Posting...";
+  const replyForm = document.createElement("form");
+  replyForm.className = "comment-form reply-form";
+  replyForm.innerHTML = `
+    <textarea placeholder="Write a reply..." maxlength="4000"></textarea>
+    <button type="submit">Post Reply</button>
+  `;
 
-  try {
-    const res = await fetch("/api/comments", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ title, body })
-    });
+  const replyInput = replyForm.querySelector("textarea");
+  const submitBtn = replyForm.querySelector("button");
 
-    if (res.status === 401) {
-      handleSessionExpired();
+  replyForm.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    if (!isSignedIn) {
+      openAuthModal("login");
       return;
     }
 
-    if (!res.ok) {
-      const data = await res.json();
-      alert(data.error || "Failed to post comment");
+    const body = replyInput.value.trim();
+
+    if (!body) {
+      alert("Please write a reply first");
       return;
     }
 
-    // Success - clear form and reload
-    titleInput.value = "";
-    bodyInput.value = "";
+    if (body.length > 4000) {
+      alert("Reply must be 4000 characters or less");
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Posting...";
+
+    try {
+      const res = await fetch(`/api/comments/${comment.id}/replies`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ body })
+      });
+
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.error || "Failed to post reply");
+        return;
+      }
+
+      await onChange();
+    } catch (err) {
+      console.error("Post reply error:", err);
+      alert("Network error. Please try again.");
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Post Reply";
+    }
+  });
+
+  // Keep the reply box above the existing replies
+  const replies = commentEl.querySelector(":scope > .comment-replies-toggle");
+  commentEl.insertBefore(replyForm, replies);
+  replyInput.focus();
+}
+
+
+// ===========================
+// POST COMMENT
+// ===========================
+// Shared by the comments board and the artist discussion on the main page so
+// validation, session handling and limit errors stay the same on both.
+function bindCommentForm(commentForm, titleField, bodyField, url, onPosted) {
+  guardCommentInputs([titleField, bodyField]);
+
+  commentForm.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    if (!isSignedIn) {
+      openAuthModal("login");
+      return;
+    }
+
+    const title = titleField.value.trim();
+    const body = bodyField.value.trim();
+  
+    if (!title || !body) {
+      alert("Please fill in both title and body");
+      return;
+    }
+
+    if (title.length > 128) {
+      alert("Title must be 128 characters or less");
+      return;
+    }
+
+    if (body.length > 4000) {
+      alert("Comment must be 4000 characters or less");
+      return;
+    }
+
+    const submitBtn = commentForm.querySelector('button[type="submit"]');
+    const originalText = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Posting...";
+
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title, body })
+      });
+
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.error || "Failed to post comment");
+        return;
+      }
+
+      // Success - clear form and reload
+      titleField.value = "";
+      bodyField.value = "";
+      await onPosted();
+    } catch (err) {
+      console.error("Post comment error:", err);
+      alert("Network error. Please try again.");
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+    }
+  });
+}
+
+if (form) {
+  bindCommentForm(form, titleInput, bodyInput, "/api/comments", async () => {
     await loadComments();
-    
+
     // Scroll to top to see new comment
     window.scrollTo({ top: 0, behavior: 'smooth' });
-  } catch (err) {
-    console.error("Post comment error:", err);
-    alert("Network error. Please try again.");
-  } finally {
-    submitBtn.disabled = false;
-    submitBtn.textContent = originalText;
-  }
-});
-
+  });
+}
 
 function handleSessionExpired(message = "Your session expired. Please sign in again.") {
-  isAuthenticated = false;
+  isSignedIn = false;
   currentUser = null;
 
+  if (!authStatus) {
+    openAuthModal("login");
+    return;
+  }
+
   authStatus.textContent = message;
   authStatus.style.color = "#ef4444";
   loginBtn.hidden = false;
@@ -1 +1 @@
-const form=document.getElementById("commentForm"),titleInput=document.getElementById("title"),bodyInput=document.getElementById("body"),commentsContainer=document.getElementById("comments"),loginBtn=document.getElementById("loginBtn"),logoutBtn=document.getElementById("logoutBtn"),authStatus=document.getElementById("authStatus"),modal=document.getElementById("authModal"),modalTitle=document.getElementById("authModalTitle"),authUsername=document.getElementById("authUsername"),authPassword=document.getElementById("authPassword"),authSubmitBtn=document.getElementById("authSubmitBtn"),authSwitchBtn=document.getElementById("authSwitchBtn"),authError=document.getElementById("authError"),authCloseBtn=document.getElementById("authCloseBtn");let isAuthenticated=!1,authMode="login",currentUser=null;async function checkAuth(){try{const t=await fetch("/api/auth/status");if(401===t.status)return void handleSessionExpired();if(!t.ok)return void console.error("Auth check failed with status:",t.status);const e=await t.json();isAuthenticated=!!e.authenticated,currentUser=e.user?.username||null,isAuthenticated?(authStatus.textContent=`Signed in as ${currentUser}`,loginBtn.hidden=!0,logoutBtn.hidden=!1):(authStatus.textContent="Sign in to post comments",loginBtn.hidden=!1,logoutBtn.hidden=!0),updateCommentFormState(),await loadComments()}catch(t){console.error("Auth check failed",t),isAuthenticated=!1,currentUser=null,updateCommentFormState()}}function updateCommentFormState(){const t=!isAuthenticated;titleInput.disabled=t,bodyInput.disabled=t,t?(titleInput.placeholder="Sign in to post comments",bodyInput.placeholder="Sign in to post comments"):(titleInput.placeholder="Comment title",bodyInput.placeholder="Share your thoughts...")}function openAuthModal(t="login"){authMode=t,modal.classList.remove("hidden"),authError.textContent="",authError.style.color="#ef4444",modalTitle.textContent="login"===t?"Sign In":"Create Account",authSwitchBtn.textContent="login"===t?"Need an account? Sign up":"Already have an account? Sign in",authSubmitBtn.textContent="login"===t?"Sign In":"Sign Up"}function closeAuthModal(){modal.classList.add("hidden"),authUsername.value="",authPassword.value="",authError.textContent=""}async function loadComments(){commentsContainer.textContent="Loading comments...";try{const t=await fetch("/api/comments");if(!t.ok)throw new Error(`Failed to load comments: ${t.status}`);const e=await t.json();if(commentsContainer.innerHTML="",!e.length)return void(commentsContainer.textContent="No comments yet. Be the first to share your thoughts!");e.forEach(renderComment)}catch(t){console.error("Load comments error:",t),commentsContainer.textContent="Failed to load comments. Please refresh the page."}}function renderComment(t){const e=document.createElement("div");e.className="comment";const n=t=>{const e=document.createElement("div");return e.textContent=t,e.innerHTML},o=n(t.title),a=n(t.body),r=n(t.username),i=new Date(t.created_at).toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"});if(e.innerHTML=`\n    <h4>${o}</h4>\n    <small>${r} • ${i}</small>\n    <p>${a}</p>\n  `,isAuthenticated&&t.username===currentUser){const n=document.createElement("button");n.textContent="Delete",n.className="comment-delete",n.onclick=async()=>{if(confirm("Delete your comment?")){n.disabled=!0,n.textContent="Deleting...";try{const e=await fetch(`/api/comments/${t.id}`,{method:"DELETE"});if(401===e.status)return void handleSessionExpired();if(!e.ok){const t=await e.json();return void alert(t.error||"Failed to delete comment")}await loadComments()}catch(t){console.error("Delete error:",t),alert("Network error. Please try again."),n.disabled=!1,n.textContent="Delete"}}},e.appendChild(n)}commentsContainer.appendChild(e)}function handleSessionExpired(t="Your session expired. Please sign in again."){isAuthenticated=!1,currentUser=null,authStatus.textContent=t,authStatus.style.color="#ef4444",loginBtn.hidden=!1,logoutBtn.hidden=!0,updateCommentFormState(),openAuthModal("login"),setTimeout(()=>{authStatus.style.color=""},3e3)}loginBtn.onclick=()=>openAuthModal("login"),authCloseBtn.onclick=closeAuthModal,modal.onclick=t=>{t.target===modal&&closeAuthModal()},authSwitchBtn.onclick=()=>{openAuthModal("login"===authMode?"register":"login")},authSubmitBtn.onclick=async()=>{const t=authUsername.value.trim(),e=authPassword.value;if(t&&e)if(t.length<3)authError.textContent="Username must be at least 3 characters";else if(e.length<8)authError.textContent="Password must be at least 8 characters";else{authSubmitBtn.disabled=!0,authSubmitBtn.textContent="Please wait...";try{const n="login"===authMode?"/api/auth/login":"/api/auth/register",o=await fetch(n,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({username:t,password:e})}),a=await o.json();if(!o.ok)return authError.style.color="#ef4444",void(authError.textContent=a.error||"Authentication failed");authError.style.color="#22c55e",authError.textContent="login"===authMode?"Signed in 🎶":"Account created 🎉",setTimeout(async()=>{closeAuthModal(),await checkAuth()},700)}catch(t){console.error("Auth error:",t),authError.style.color="#ef4444",authError.textContent="Network error. Please try again."}finally{authSubmitBtn.disabled=!1,authSubmitBtn.textContent="login"===authMode?"Sign In":"Sign Up"}}else authError.textContent="Missing username or password"},logoutBtn.onclick=async()=>{try{await fetch("/api/auth/logout",{method:"POST"}),await checkAuth()}catch(t){console.error("Logout error:",t),isAuthenticated=!1,currentUser=null,updateCommentFormState(),authStatus.textContent="Sign in to post comments",loginBtn.hidden=!1,logoutBtn.hidden=!0}},[titleInput,bodyInput].forEach(t=>{t.addEventListener("focus",()=>{isAuthenticated||(openAuthModal("login"),t.blur())})}),form.addEventListener("submit",async t=>{if(t.preventDefault(),!isAuthenticated)return void openAuthModal("login");const e=titleInput.value.trim(),n=bodyInput.value.trim();if(!e||!n)return void alert("Please fill in both title and body");if(e.length>128)return void alert("Title must be 128 characters or less");if(n.length>4e3)return void alert("Comment must be 4000 characters or less");const o=form.querySelector('button[type="submit"]'),a=o.textContent;o.disabled=!0,o.textContent="Posting...";try{const t=await fetch("/api/comments",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({title:e,body:n})});if(401===t.status)return void handleSessionExpired();if(!t.ok){const e=await t.json();return void alert(e.error||"Failed to post comment")}titleInput.value="",bodyInput.value="",await loadComments(),window.scrollTo({top:0,behavior:"smooth"})}catch(t){console.error("Post comment error:",t),alert("Network error. Please try again.")}finally{o.disabled=!1,o.textContent=a}}),document.addEventListener("keydown",t=>{"Escape"!==t.key||modal.classList.contains("hidden")||closeAuthModal(),"Enter"!==t.key||modal.classList.contains("hidden")||t.target!==authUsername&&t.target!==authPassword||(t.preventDefault(),authSubmitBtn.click())}),checkAuth();
\ No newline at end of file
+const form=document.getElementById("commentForm"),titleInput=document.getElementById("title"),bodyInput=document.getElementById("body"),commentsContainer=document.getElementById("comments"),commentSort=document.getElementById("commentSort"),commentSearch=document.getElementById("commentSearch"),loadMoreBtn=document.getElementById("loadMoreComments"),loginBtn=document.getElementById("loginBtn"),logoutBtn=document.getElementById("logoutBtn"),authStatus=document.getElementById("authStatus"),modal=document.getElementById("authModal"),modalTitle=document.getElementById("authModalTitle"),authUsername=document.getElementById("authUsername"),authPassword=document.getElementById("authPassword"),authSubmitBtn=document.getElementById("authSubmitBtn"),authSwitchBtn=document.getElementById("authSwitchBtn"),authError=document.getElementById("authError"),authCloseBtn=document.getElementById("authCloseBtn");let isSignedIn=!1,authMode="login",currentUser=null;const COMMENTS_PAGE_SIZE=20,COMMENTS_PAGE_MAX=50,COMMENT_SEARCH_DEBOUNCE=300;let nextBefore=null,shownThreads=0,commentsRequest=0,commentSearchTimer=null;async function checkAuth(){try{const e=await fetch("/api/auth/status");if(401===e.status)return void handleSessionExpired();if(!e.ok)return void console.error("Auth check failed with status:",e.status);const t=await e.json();if(isSignedIn=!!t.authenticated,currentUser=t.user?.username||null,!commentsContainer)return;isSignedIn?(authStatus.textContent=`Signed in as ${currentUser}`,loginBtn.hidden=!0,logoutBtn.hidden=!1):(authStatus.textContent="Sign in to post comments",loginBtn.hidden=!1,logoutBtn.hidden=!0),updateCommentFormState(),await loadComments()}catch(e){console.error("Auth check failed",e),isSignedIn=!1,currentUser=null,form&&updateCommentFormState()}}function updateCommentFormState(){const e=!isSignedIn;titleInput.disabled=e,bodyInput.disabled=e,e?(titleInput.placeholder="Sign in to post comments",bodyInput.placeholder="Sign in to post comments"):(titleInput.placeholder="Comment title",bodyInput.placeholder="Share your thoughts...")}function openAuthModal(e="login"){authMode=e,modal.classList.remove("hidden"),authError.textContent="",authError.style.color="#ef4444",modalTitle.textContent="login"===e?"Sign In":"Create Account",authSwitchBtn.textContent="login"===e?"Need an account? Sign up":"Already have an account? Sign in",authSubmitBtn.textContent="login"===e?"Sign In":"Sign Up"}function closeAuthModal(){modal.classList.add("hidden"),authUsername.value="",authPassword.value="",authError.textContent=""}function notifyAuthChange(){document.dispatchEvent(new CustomEvent("appauthchange",{detail:{user:currentUser}}))}function guardCommentInputs(e){e.forEach(e=>{e.addEventListener("focus",()=>{isSignedIn||(openAuthModal("login"),e.blur())})})}async function loadComments({more:e=!1}={}){if(e&&!nextBefore)return;const t=++commentsRequest,n=new URLSearchParams({sort:commentSort.value}),o=commentSearch.value.trim();o&&n.set("search",o),e?n.set("before",nextBefore):(n.set("limit",Math.min(Math.max(shownThreads,20),50)),commentsContainer.textContent="Loading comments..."),loadMoreBtn.disabled=!0,loadMoreBtn.textContent="Loading...";try{const r=await fetch(`/api/comments?${n}`);if(!r.ok)throw new Error(`Failed to load comments: ${r.status}`);const a=await r.json();if(t!==commentsRequest)return;if(e||(commentsContainer.innerHTML="",shownThreads=0),nextBefore=a.nextBefore,loadMoreBtn.hidden=!nextBefore,!e&&!a.comments.length)return void(commentsContainer.textContent=o?"No comments match your search.":"No comments yet. Be the first to share your thoughts!");shownThreads+=renderCommentThreads(a.comments)}catch(n){if(console.error("Load comments error:",n),t!==commentsRequest)return;e?alert("Failed to load more comments. Please try again."):(commentsContainer.textContent="Failed to load comments. Please refresh the page.",loadMoreBtn.hidden=!0)}finally{t===commentsRequest&&(loadMoreBtn.disabled=!1,loadMoreBtn.textContent="Load more")}}function reloadComments(){shownThreads=0,nextBefore=null,loadComments()}loginBtn&&(loginBtn.onclick=()=>openAuthModal("login")),authCloseBtn.onclick=closeAuthModal,modal.onclick=e=>{e.target===modal&&closeAuthModal()},authSwitchBtn.onclick=()=>{openAuthModal("login"===authMode?"register":"login")},authSubmitBtn.onclick=async()=>{const e=authUsername.value.trim(),t=authPassword.value;if(e&&t)if(e.length<3)authError.textContent="Username must be at least 3 characters";else if(t.length<8)authError.textContent="Password must be at least 8 characters";else{authSubmitBtn.disabled=!0,authSubmitBtn.textContent="Please wait...";try{const n="login"===authMode?"/api/auth/login":"/api/auth/register",o=await fetch(n,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({username:e,password:t})}),r=await o.json();if(!o.ok)return authError.style.color="#ef4444",void(authError.textContent=r.error||"Authentication failed");authError.style.color="#22c55e",authError.textContent="login"===authMode?"Signed in 🎶":"Account created 🎉",setTimeout(async()=>{closeAuthModal(),await checkAuth(),notifyAuthChange()},700)}catch(e){console.error("Auth error:",e),authError.style.color="#ef4444",authError.textContent="Network error. Please try again."}finally{authSubmitBtn.disabled=!1,authSubmitBtn.textContent="login"===authMode?"Sign In":"Sign Up"}}else authError.textContent="Missing username or password"},logoutBtn&&(logoutBtn.onclick=async()=>{try{await fetch("/api/auth/logout",{method:"POST"}),await checkAuth(),notifyAuthChange()}catch(e){console.error("Logout error:",e),isSignedIn=!1,currentUser=null,updateCommentFormState(),authStatus.textContent="Sign in to post comments",loginBtn.hidden=!1,logoutBtn.hidden=!0}}),commentSearch&&commentSearch.addEventListener("input",()=>{clearTimeout(commentSearchTimer),commentSearchTimer=setTimeout(reloadComments,300)}),loadMoreBtn&&(loadMoreBtn.onclick=()=>loadComments({more:!0}),new IntersectionObserver(e=>{e[0].isIntersecting&&!loadMoreBtn.disabled&&loadComments({more:!0})}).observe(loadMoreBtn));const MAX_REPLY_DEPTH=3;function buildCommentThreads(e){const t=new Map(e.map(e=>[e.id,{...e,replies:[]}])),n=[];return t.forEach(e=>{const o=e.parent_id&&t.get(e.parent_id);o?o.replies.push(e):n.push(e)}),t.forEach(e=>e.replies.sort((e,t)=>e.id-t.id)),n}function renderCommentThreads(e,t=commentsContainer,n=loadComments){const o=buildCommentThreads(e);return o.forEach(e=>renderComment(e,t,n)),o.length}const HTML_ESCAPES={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"};function escapeHtml(e){return String(e??"").replace(/[&<>"']/g,e=>HTML_ESCAPES[e])}function renderComment(e,t=commentsContainer,n=loadComments){const o=document.createElement("div");o.className=e.deleted?"comment comment-deleted":"comment";const r=new Date(e.created_at).toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"});if(e.deleted)o.innerHTML=`\n      <small>[deleted] • ${r}</small>\n      <p class="comment-placeholder">[deleted]</p>\n    `;else{const t=escapeHtml(e.title),n=escapeHtml(e.body),a=escapeHtml(e.username);o.innerHTML=`\n      ${t?`<h4>${t}</h4>`:""}\n      <small>${a} • ${r}${e.edited_at?' • <button class="comment-edited" type="button">edited</button>':""}</small>\n      <p>${n}</p>\n    `;const i=o.querySelector(".comment-edited");i&&(i.onclick=()=>toggleCommentHistory(o,e))}if(e.deleted||o.appendChild(renderVoteControls(e)),isSignedIn&&!e.deleted&&e.depth<3){const t=document.createElement("button");t.textContent="Reply",t.className="comment-reply",t.onclick=()=>toggleReplyForm(o,e,n),o.appendChild(t)}if(isSignedIn&&!e.deleted&&e.username===currentUser){const t=document.createElement("button");t.textContent="Edit",t.className="comment-edit",t.onclick=()=>toggleEditForm(o,e,n),o.appendChild(t);const r=document.createElement("button");r.textContent="Delete",r.className="comment-delete",r.onclick=async()=>{if(confirm("Delete your comment?")){r.disabled=!0,r.textContent="Deleting...";try{const t=await fetch(`/api/comments/${e.id}`,{method:"DELETE"});if(401===t.status)return void handleSessionExpired();if(!t.ok){const e=await t.json();return void alert(e.error||"Failed to delete comment")}await n()}catch(e){console.error("Delete error:",e),alert("Network error. Please try again."),r.disabled=!1,r.textContent="Delete"}}},o.appendChild(r)}if(e.replies?.length){const t=e.replies.length,r=1===t?"1 reply":`${t} replies`,a=document.createElement("button");a.className="comment-replies-toggle",a.textContent=`Hide ${r}`,a.setAttribute("aria-expanded","true");const i=document.createElement("div");i.className="comment-replies",e.replies.forEach(e=>renderComment(e,i,n)),a.onclick=()=>{const e=!i.hidden;i.hidden=e,a.textContent=`${e?"Show":"Hide"} ${r}`,a.setAttribute("aria-expanded",String(!e))},o.appendChild(a),o.appendChild(i)}t.appendChild(o)}function renderVoteControls(e){const t=document.createElement("div");t.className="comment-votes",t.innerHTML='\n    <button class="vote-btn vote-up" type="button" aria-label="Upvote">▲</button>\n    <span class="vote-score"></span>\n    <button class="vote-btn vote-down" type="button" aria-label="Downvote">▼</button>\n  ';const n=t.querySelector(".vote-up"),o=t.querySelector(".vote-down"),r=t.querySelector(".vote-score");let a=e.myVote||0;const i=e=>{r.textContent=e,n.classList.toggle("active",1===a),o.classList.toggle("active",-1===a),n.setAttribute("aria-pressed",String(1===a)),o.setAttribute("aria-pressed",String(-1===a))};if(i(e.score),isSignedIn&&e.username===currentUser)return n.disabled=!0,o.disabled=!0,t.title="You can't vote on your own comment",t;const s=async t=>{if(!isSignedIn)return void openAuthModal("login");const r=a===t;n.disabled=!0,o.disabled=!0;try{const n=await fetch(`/api/comments/${e.id}/vote`,{method:r?"DELETE":"POST",headers:{"Content-Type":"application/json"},body:r?void 0:JSON.stringify({value:t})});if(401===n.status)return void handleSessionExpired();const o=await n.json();if(!n.ok)return void alert(o.error||"Failed to record vote");a=o.myVote,i(o.score)}catch(e){console.error("Vote error:",e),alert("Network error. Please try again.")}finally{n.disabled=!1,o.disabled=!1}};return n.onclick=()=>s(1),o.onclick=()=>s(-1),t}async function toggleCommentHistory(e,t){const n=e.querySelector(":scope > .comment-history");if(n)return void n.remove();const o=document.createElement("div");o.className="comment-history",o.textContent="Loading edit history...",e.querySelector(":scope > p").after(o);try{const e=await fetch(`/api/comments/${t.id}/revisions`);if(!e.ok)throw new Error(`Failed to load edit history: ${e.status}`);const n=await e.json();if(!n.length)return void(o.textContent="No earlier versions.");o.innerHTML=n.map(e=>`\n        <div class="comment-revision">\n          <small>Replaced ${new Date(e.created_at).toLocaleString("en-US",{year:"numeric",month:"short",day:"numeric",hour:"numeric",minute:"2-digit"})}</small>\n          ${e.title?`<h5>${escapeHtml(e.title)}</h5>`:""}\n          <p>${escapeHtml(e.body)}</p>\n        </div>\n      `).join("")}catch(e){console.error("Load edit history error:",e),o.textContent="Failed to load edit history."}}function toggleEditForm(e,t,n){const o=e.querySelector(":scope > .edit-form");if(o)return void o.remove();const r=!t.parent_id,a=document.createElement("form");a.className="comment-form edit-form",a.innerHTML=`\n    ${r?'<input type="text" maxlength="128">':""}\n    <textarea maxlength="4000"></textarea>\n    <button type="submit">Save</button>\n    <button type="button" class="edit-cancel">Cancel</button>\n  `;const i=a.querySelector("input"),s=a.querySelector("textarea"),l=a.querySelector('button[type="submit"]');i&&(i.value=t.title),s.value=t.body,a.querySelector(".edit-cancel").onclick=()=>a.remove(),a.addEventListener("submit",async e=>{e.preventDefault();const o=i?i.value.trim():void 0,r=s.value.trim();if(i&&!o||!r)alert(i?"Please fill in both title and body":"Please write a reply first");else if(o&&o.length>128)alert("Title must be 128 characters or less");else if(r.length>4e3)alert("Comment must be 4000 characters or less");else{l.disabled=!0,l.textContent="Saving...";try{const e=await fetch(`/api/comments/${t.id}`,{method:"PATCH",headers:{"Content-Type":"application/json"},body:JSON.stringify({title:o,body:r})});if(401===e.status)return void handleSessionExpired();if(!e.ok){const t=await e.json();return void alert(t.error||"Failed to save comment")}await n()}catch(e){console.error("Edit comment error:",e),alert("Network error. Please try again.")}finally{l.disabled=!1,l.textContent="Save"}}}),e.querySelector(":scope > p").after(a),s.focus()}function toggleReplyForm(e,t,n){const o=e.querySelector(":scope > .reply-form");if(o)return void o.remove();const r=document.createElement("form");r.className="comment-form reply-form",r.innerHTML='\n    <textarea placeholder="Write a reply..." maxlength="4000"></textarea>\n    <button type="submit">Post Reply</button>\n  ';const a=r.querySelector("textarea"),i=r.querySelector("button");r.addEventListener("submit",async e=>{if(e.preventDefault(),!isSignedIn)return void openAuthModal("login");const o=a.value.trim();if(o)if(o.length>4e3)alert("Reply must be 4000 characters or less");else{i.disabled=!0,i.textContent="Posting...";try{const e=await fetch(`/api/comments/${t.id}/replies`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({body:o})});if(401===e.status)return void handleSessionExpired();if(!e.ok){const t=await e.json();return void alert(t.error||"Failed to post reply")}await n()}catch(e){console.error("Post reply error:",e),alert("Network error. Please try again.")}finally{i.disabled=!1,i.textContent="Post Reply"}}else alert("Please write a reply first")});const s=e.querySelector(":scope > .comment-replies-toggle");e.insertBefore(r,s),a.focus()}function bindCommentForm(e,t,n,o,r){guardCommentInputs([t,n]),e.addEventListener("submit",async a=>{if(a.preventDefault(),!isSignedIn)return void openAuthModal("login");const i=t.value.trim(),s=n.value.trim();if(!i||!s)return void alert("Please fill in both title and body");if(i.length>128)return void alert("Title must be 128 characters or less");if(s.length>4e3)return void alert("Comment must be 4000 characters or less");const l=e.querySelector('button[type="submit"]'),c=l.textContent;l.disabled=!0,l.textContent="Posting...";try{const e=await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({title:i,body:s})});if(401===e.status)return void handleSessionExpired();if(!e.ok){const t=await e.json();return void alert(t.error||"Failed to post comment")}t.value="",n.value="",await r()}catch(e){console.error("Post comment error:",e),alert("Network error. Please try again.")}finally{l.disabled=!1,l.textContent=c}})}function handleSessionExpired(e="Your session expired. Please sign in again."){isSignedIn=!1,currentUser=null,authStatus?(authStatus.textContent=e,authStatus.style.color="#ef4444",loginBtn.hidden=!1,logoutBtn.hidden=!0,updateCommentFormState(),openAuthModal("login"),setTimeout(()=>{authStatus.style.color=""},3e3)):openAuthModal("login")}commentSort&&commentSort.addEventListener("change",reloadComments),form&&bindCommentForm(form,titleInput,bodyInput,"/api/comments",async()=>{await loadComments(),window.scrollTo({top:0,behavior:"smooth"})}),document.addEventListener("keydown",e=>{"Escape"!==e.key||modal.classList.contains("hidden")||closeAuthModal(),"Enter"!==e.key||modal.classList.contains("hidden")||e.target!==authUsername&&e.target!==authPassword||(e.preventDefault(),authSubmitBtn.click())}),checkAuth();
\ No newline at end of file
@@ -14,6 +14,17 @@ import Database from 'better-sqlite3';
 import argon2 from "argon2";
 import sanitizeHtml from "sanitize-html";
 import cors from "cors"
+import {
+  fetchSpotifyData,
+  requestSpotifyToken,
+  accountsUrl,
+  httpStatusForError,
+  getCircuitState,
+  SpotifyApiError,
+  SpotifyUnavailableError,
+  SpotifyTimeoutError,
+  SpotifyRateLimitError,
+} from './spotify-client.js';
 
 // Load environment variables
 dotenv.config();
@@ -93,16 +104,172 @@ const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI || `https://localhost:${PORT}/auth/spotify/callback`;
 
+// Where the app is served from, for absolute links such as feed ids. Taken from
+// config rather than the request so a spoofed Host header can't change them.
+const PUBLIC_URL = new URL(process.env.PUBLIC_URL || new URL(REDIRECT_URI).origin).href.replace(/\/$/, '');
+
 if (!CLIENT_ID || !CLIENT_SECRET) {
   console.error('⚠️  Missing Spotify credentials in .env file');
 }
 
+// Parse a comma-separated genre list, dropping anything that isn't a plausible genre
+function parseGenreList(value) {
+  if (!value) {
+    return null;
+  }
+
+  const genres = [...new Set(
+    value
+      .split(',')
+      .map((genre) => genre.trim().toLowerCase())
+      .filter((genre) => GENRE_PATTERN.test(genre))
+  )];
+
+  if (!genres.length) {
+    console.error('⚠️  CHART_GENRES has no valid genres, using defaults');
+    return null;
+  }
+  return genres;
+}
+
 // Cache configuration
 const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours
 const CACHE_DIR = path.join(__dirname, '.cache');
-const CACHE_FILE = path.join(CACHE_DIR, 'artists.json');
+const CACHE_FILE = path.join(CACHE_DIR, 'artists.json'); // global chart
+const MARKET_CACHE_PATTERN = /^artists-([A-Z]{2})\.json$/; // per-market charts
+
+// Chart refresh coordination between server processes sharing .cache/
+const REFRESH_LOCK_STALE = 5 * 60 * 1000; // a lock older than this belongs to a dead refresh
+const REFRESH_LOCK_WAIT = 60 * 1000; // how long to wait on another process's refresh
+const REFRESH_LOCK_HEARTBEAT = 60 * 1000; // how often a live refresh touches its lock
+const REFRESH_RETRY_DELAY = 60 * 1000; // min gap between background retries after a failure
 const TOKEN_CACHE_FILE = path.join(CACHE_DIR, 'token.json');
 
+// Markets offered in the market picker (ISO 3166-1 alpha-2). 'global' is the
+// market-less chart; artist details fall back to DEFAULT_TRACK_MARKET for it
+const GLOBAL_MARKET = 'global';
+const DEFAULT_TRACK_MARKET = 'US';
+const MARKETS = {
+  AR: 'Argentina',
+  AU: 'Australia',
+  AT: 'Austria',
+  BE: 'Belgium',
+  BR: 'Brazil',
+  CA: 'Canada',
+  CL: 'Chile',
+  CO: 'Colombia',
+  DK: 'Denmark',
+  FI: 'Finland',
+  FR: 'France',
+  DE: 'Germany',
+  IN: 'India',
+  ID: 'Indonesia',
+  IE: 'Ireland',
+  IT: 'Italy',
+  JP: 'Japan',
+  MX: 'Mexico',
+  NL: 'Netherlands',
+  NZ: 'New Zealand',
+  NG: 'Nigeria',
+  NO: 'Norway',
+  PH: 'Philippines',
+  PL: 'Poland',
+  PT: 'Portugal',
+  ZA: 'South Africa',
+  KR: 'South Korea',
+  ES: 'Spain',
+  SE: 'Sweden',
+  CH: 'Switzerland',
+  TR: 'Turkey',
+  GB: 'United Kingdom',
+  US: 'United States',
+};
+
+// Genres searched to build the chart. Override with a comma-separated
+// CHART_GENRES in .env, e.g. CHART_GENRES=pop,rock,k-pop,latin
+const DEFAULT_CHART_GENRES = ['pop', 'rock', 'hip-hop', 'rap', 'r-n-b', 'electronic', 'indie', 'country'];
+const GENRE_PATTERN = /^[a-z0-9][a-z0-9 &'-]{0,39}$/;
+const CHART_GENRES = parseGenreList(process.env.CHART_GENRES) || DEFAULT_CHART_GENRES;
+
+// Search proxy: allowed result types and a short-lived in-memory result cache
+const SEARCH_TYPES = ['artist', 'track', 'album'];
+const SEARCH_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const SEARCH_CACHE_MAX_ENTRIES = 500;
+
+// Artist detail cache: how long each kind of entry stays fresh, and how many
+// entries are kept in memory (everything is also persisted to SQLite)
+const DETAIL_CACHE_TTL = {
+  artist: 6 * 60 * 60 * 1000, // 6 hours
+  topTracks: 60 * 60 * 1000, // 1 hour
+  releases: 6 * 60 * 60 * 1000, // 6 hours
+  related: 24 * 60 * 60 * 1000, // 24 hours
+  album: 24 * 60 * 60 * 1000, // 24 hours
+};
+const DETAIL_CACHE_MAX_ENTRIES = 500;
+
+// Sort orders for /api/artists ('rank' keeps the chart or Spotify order)
+const ARTIST_SORTS = ['rank', 'popularity', 'followers', 'name', 'movement'];
+
+// Time ranges Spotify supports for a user's top items
+const TIME_RANGES = ['short_term', 'medium_term', 'long_term'];
+
+// How often each charted artist is checked for new releases
+const RELEASE_REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+// Artists checked a little less than an interval ago are due again, so timer
+// drift doesn't push them back a whole interval
+const RELEASE_REFRESH_SLACK = 10 * 60 * 1000; // 10 minutes
+// What counts as "new" when /api/releases is called without ?since
+const NEW_RELEASE_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Follower counts that split artists into tiers for the taste profile,
+// smallest first; an artist belongs to the first tier they're under
+const FOLLOWER_TIERS = [
+  { id: 'niche', label: 'Under 100K', max: 100000 },
+  { id: 'rising', label: '100K–1M', max: 1000000 },
+  { id: 'established', label: '1M–10M', max: 10000000 },
+  { id: 'superstar', label: '10M+', max: Infinity },
+];
+
+// Replies to replies stop here; top-level comments are depth 0
+const MAX_COMMENT_DEPTH = 3;
+
+// Live comments one user can have at a time in each discussion - the comments
+// board or one artist's thread. Replies have their own, larger allowance so
+// joining a conversation doesn't use up a user's own posts.
+const MAX_COMMENTS_PER_USER = 5;
+const MAX_REPLIES_PER_USER = 50;
+
+// Edits one comment can go through; each keeps its previous text as a revision
+const MAX_COMMENT_REVISIONS = 20;
+
+// Orders /api/comments can return top-level comments in
+const COMMENT_SORTS = ['newest', 'oldest', 'top', 'controversial'];
+
+// Top-level comments per page of /api/comments, and the most one request can ask for
+const COMMENTS_PAGE_SIZE = 20;
+const COMMENTS_PAGE_MAX = 50;
+const COMMENT_SEARCH_MAX_LENGTH = 100;
+
+// Most artists one app account can keep on its watchlist
+const FAVORITES_MAX = 200;
+
+// Only requested when the user opts in to saving playlists
+const PLAYLIST_SCOPE = 'playlist-modify-private';
+const PLAYLIST_NAME_MAX_LENGTH = 100;
+const PLAYLIST_TRACKS_PER_REQUEST = 100; // Spotify's limit for adding items
+// Refresh a token this close to expiry before creating a playlist, so it can't
+// expire between creating the playlist and filling it
+const PLAYLIST_TOKEN_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+// Spotify IDs are 22 base62 characters
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+// Refresh user tokens this long before Spotify says they expire
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // 1 minute
+// Keep a finished refresh around briefly so requests holding an older copy of
+// the session (and so the old refresh token) reuse it instead of refreshing again
+const REFRESH_REUSE_WINDOW = 30 * 1000; // 30 seconds
+
 // Ensure cache directory exists
 if (!fs.existsSync(CACHE_DIR)) {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
@@ -118,7 +285,7 @@ const cspDirectives = {
   connectSrc: ["'self'"],
   fontSrc: ["'self'"],
   objectSrc: ["'none'"],
-  mediaSrc: ["'self'"],
+  mediaSrc: ["'self'", 'https://p.scdn.co'],
   frameSrc: ["'none'"],
 };
 
@@ -175,6 +342,16 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true, // Don't count successful logins
 });
 
+// Votes are throttled per app account rather than per IP; requireAuth runs first
+const voteLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  keyGenerator: (req) => `user:${req.session.user.id}`,
+  message: { error: 'Too many votes, please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Parse JSON bodies
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
@@ -193,17 +370,50 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Spotify auth middleware - for routes that only make sense with a user token
+function requireSpotifyAuth(req, res, next) {
+  if (!req.session.spotifyToken) {
+    return res.status(401).json({
+      success: false,
+      error: "SPOTIFY_AUTH_REQUIRED",
+      message: "Connect your Spotify account to use this feature."
+    });
+  }
+  next();
+}
+
 // ============================================================================
 // CACHE HELPER FUNCTIONS
 // ============================================================================
 
-function readCacheFromDisk() {
+function cacheFileFor(market = GLOBAL_MARKET) {
+  return market === GLOBAL_MARKET ? CACHE_FILE : path.join(CACHE_DIR, `artists-${market}.json`);
+}
+
+// Markets that have a chart cache on disk, global first
+function getCachedMarkets() {
+  const markets = fs.existsSync(CACHE_FILE) ? [GLOBAL_MARKET] : [];
   try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const data = fs.readFileSync(CACHE_FILE, 'utf8');
+    for (const file of fs.readdirSync(CACHE_DIR)) {
+      const match = file.match(MARKET_CACHE_PATTERN);
+      if (match && MARKETS[match[1]]) {
+        markets.push(match[1]);
+      }
+    }
+  } catch (error) {
+    console.error('✗ Error listing cache directory:', error.message);
+  }
+  return markets;
+}
+
+function readCacheFromDisk(market = GLOBAL_MARKET) {
+  const cacheFile = cacheFileFor(market);
+  try {
+    if (fs.existsSync(cacheFile)) {
+      const data = fs.readFileSync(cacheFile, 'utf8');
       const cache = JSON.parse(data);
       const ageSeconds = Math.floor((Date.now() - cache.timestamp) / 1000);
-      console.log(`✓ Loaded cache from disk: ${cache.artists?.length || 0} artists, age: ${ageSeconds}s`);
+      console.log(`✓ Loaded ${market} cache from disk: ${cache.artists?.length || 0} artists, age: ${ageSeconds}s`);
       return cache;
     }
   } catch (error) {
@@ -212,33 +422,169 @@ function readCacheFromDisk() {
   return { artists: null, timestamp: null };
 }
 
-function writeCacheToDisk(artists) {
+// Write via a temp file and rename so other processes never read a half-written cache
+function writeCacheToDisk(artists, market = GLOBAL_MARKET, genres = {}) {
+  const cache = {
+    artists: artists,
+    genres: genres,
+    market: market,
+    timestamp: Date.now(),
+  };
+
   try {
-    const cache = {
-      artists: artists,
-      timestamp: Date.now(),
-    };
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
-    console.log(`✓ Wrote ${artists.length} artists to cache file`);
-    return true;
+    const cacheFile = cacheFileFor(market);
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(cache, null, 2), 'utf8');
+    fs.renameSync(tempFile, cacheFile);
+    console.log(`✓ Wrote ${artists.length} artists to ${market} cache file`);
   } catch (error) {
     console.error('✗ Error writing cache to disk:', error.message);
-    return false;
+  }
+  return cache;
+}
+
+// ----------------------------------------------------------------------------
+// In-memory chart store: loaded from disk once at startup, then only touched
+// by refreshes. Requests never read the cache files.
+// ----------------------------------------------------------------------------
+
+const chartCache = new Map(); // market -> { artists, genres, market, timestamp }
+const pendingChartRefreshes = new Map(); // market -> in-flight refresh promise
+const failedChartRefreshes = new Map(); // market -> time of the last failed refresh
+
+function loadChartCaches() {
+  for (const market of getCachedMarkets()) {
+    const cache = readCacheFromDisk(market);
+    if (cache.artists) {
+      chartCache.set(market, cache);
+    }
+  }
+  console.log(`✓ Loaded ${chartCache.size} chart caches into memory`);
+}
+
+// Pick up a cache file another process wrote since we last loaded it
+function adoptNewerDiskCache(market) {
+  const current = chartCache.get(market);
+  const disk = readCacheFromDisk(market);
+  if (disk.artists && (!current || disk.timestamp > current.timestamp)) {
+    chartCache.set(market, disk);
   }
 }
 
-function isCacheValid() {
-  const cache = readCacheFromDisk();
-  if (!cache.artists || !cache.timestamp) {
+// Caches written before genre charts existed count as expired
+function isCacheValid(market = GLOBAL_MARKET) {
+  const cache = chartCache.get(market);
+  if (!cache || !cache.artists || !cache.genres || !cache.timestamp) {
     return false;
   }
   const cacheAge = Date.now() - cache.timestamp;
   return cacheAge < CACHE_DURATION;
 }
 
-function getCachedArtists() {
-  const cache = readCacheFromDisk();
-  return cache.artists || null;
+function getCachedArtists(market = GLOBAL_MARKET) {
+  return chartCache.get(market)?.artists || null;
+}
+
+// Per-genre charts from the last refresh, keyed by genre
+function getCachedGenres(market = GLOBAL_MARKET) {
+  const cache = chartCache.get(market);
+  return cache && cache.artists && cache.genres ? cache.genres : null;
+}
+
+function lockFileFor(market) {
+  return path.join(CACHE_DIR, `refresh-${market}.lock`);
+}
+
+// Heartbeat timers for the locks this process holds, keyed by market
+const refreshLockHeartbeats = new Map();
+
+// Lock file so only one server process refreshes a market at a time. While
+// held, the lock's mtime is bumped regularly so a refresh slowed down by
+// Spotify back-off never looks stale to other processes.
+function acquireRefreshLock(market, takeOver = true) {
+  const lockFile = lockFileFor(market);
+
+  try {
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, acquiredAt: Date.now() }), { flag: 'wx' });
+    const heartbeat = setInterval(() => {
+      try {
+        const now = new Date();
+        fs.utimesSync(lockFile, now, now);
+      } catch (error) {
+        console.error('✗ Error touching refresh lock:', error.message);
+      }
+    }, REFRESH_LOCK_HEARTBEAT);
+    heartbeat.unref();
+    refreshLockHeartbeats.set(market, heartbeat);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      console.error('✗ Error creating refresh lock:', error.message);
+      return false;
+    }
+  }
+
+  // Held by someone else - take it over only if its owner seems to have died
+  try {
+    const lockAge = Date.now() - fs.statSync(lockFile).mtimeMs;
+    if (takeOver && lockAge > REFRESH_LOCK_STALE) {
+      console.warn(`⚠️  Removing stale ${market} refresh lock (${Math.round(lockAge / 1000)}s old)`);
+      fs.unlinkSync(lockFile);
+      return acquireRefreshLock(market, false);
+    }
+  } catch {
+    // Lock vanished between calls; let the next refresh try again
+  }
+  return false;
+}
+
+function releaseRefreshLock(market) {
+  clearInterval(refreshLockHeartbeats.get(market));
+  refreshLockHeartbeats.delete(market);
+
+  try {
+    fs.unlinkSync(lockFileFor(market));
+  } catch (error) {
+    console.error('✗ Error releasing refresh lock:', error.message);
+  }
+}
+
+// Wait for another process to finish refreshing, then use what it wrote
+async function waitForOtherRefresh(market) {
+  const deadline = Date.now() + REFRESH_LOCK_WAIT;
+  while (Date.now() < deadline && fs.existsSync(lockFileFor(market))) {
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  adoptNewerDiskCache(market);
+  const artists = getCachedArtists(market);
+  if (!artists) {
+    throw new Error(`Timed out waiting for another process to refresh the ${market} chart`);
+  }
+  return artists;
+}
+
+// Stale-while-revalidate: serve whatever chart we have and refresh it in the
+// background; only make the request wait when there is nothing to serve yet
+async function getChartArtists(market = GLOBAL_MARKET) {
+  const artists = getCachedArtists(market);
+
+  if (!artists) {
+    console.log(`⚠️  No ${market} chart yet, fetching fresh data`);
+    return refreshCache(market);
+  }
+
+  if (!isCacheValid(market)) {
+    const lastFailure = failedChartRefreshes.get(market);
+    if (!lastFailure || Date.now() - lastFailure >= REFRESH_RETRY_DELAY) {
+      console.log(`⚠️  Serving stale ${market} chart while refreshing in the background`);
+      refreshCache(market).catch((err) => {
+        console.error(`✗ Background ${market} refresh failed:`, err.message);
+      });
+    }
+  }
+
+  return artists;
 }
 
 // ============================================================================
@@ -280,89 +626,166 @@ function writeTokenToDisk(token, expiresIn = 3600) {
 }
 
 // ============================================================================
-// SPOTIFY API FUNCTIONS
+// USER TOKEN REFRESH
 // ============================================================================
 
-async function getSpotifyAccessToken() {
-  // Check cached token first
-  const cachedToken = readTokenFromDisk();
-  if (cachedToken.token && cachedToken.expiry && Date.now() < cachedToken.expiry) {
-    return cachedToken.token;
+// In-flight (and just-finished) refreshes keyed by refresh token, so concurrent
+// requests from the same user share one call to Spotify
+const pendingRefreshes = new Map();
+
+function clearSpotifySession(req) {
+  delete req.session.spotifyToken;
+  delete req.session.refreshToken;
+  delete req.session.tokenExpiry;
+  delete req.session.spotifyCountry;
+  delete req.session.spotifyScopes;
+  delete req.session.spotifyUserId;
+}
+
+// Scopes Spotify actually granted, which can be fewer than were requested
+function hasSpotifyScope(req, scope) {
+  return (req.session.spotifyScopes || []).includes(scope);
+}
+
+async function refreshUserToken(req) {
+  const refreshToken = req.session.refreshToken;
+  if (!refreshToken) {
+    throw new Error('No Spotify refresh token in session');
   }
 
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error('Spotify credentials not configured. Check your .env file.');
+  let pending = pendingRefreshes.get(refreshToken);
+  if (!pending) {
+    pending = requestSpotifyToken(CLIENT_ID, CLIENT_SECRET, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }).then(
+      (tokenData) => {
+        setTimeout(() => pendingRefreshes.delete(refreshToken), REFRESH_REUSE_WINDOW).unref();
+        console.log('✓ Refreshed Spotify user token');
+        return tokenData;
+      },
+      (error) => {
+        pendingRefreshes.delete(refreshToken);
+        throw error;
+      }
+    );
+    pendingRefreshes.set(refreshToken, pending);
   }
 
-  const auth = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
-  const postData = 'grant_type=client_credentials';
+  try {
+    const tokenData = await pending;
 
-  const options = {
-    hostname: 'accounts.spotify.com',
-    path: '/api/token',
-    method: 'POST',
-    headers: {
-      Authorization: `Basic ${auth}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Content-Length': postData.length,
-    },
-  };
+    req.session.spotifyToken = tokenData.access_token;
+    // Spotify only sometimes rotates the refresh token
+    req.session.refreshToken = tokenData.refresh_token || refreshToken;
+    req.session.tokenExpiry = Date.now() + tokenData.expires_in * 1000;
+    if (tokenData.scope) {
+      req.session.spotifyScopes = tokenData.scope.split(' ');
+    }
+    return req.session.spotifyToken;
+  } catch (error) {
+    // A rejected refresh token (revoked access, invalid_grant) can't be recovered:
+    // drop the Spotify login so the user falls back to the global chart
+    if (error instanceof SpotifyApiError && error.status >= 400 && error.status < 500) {
+      console.warn('⚠️  Spotify refresh token rejected, clearing Spotify session');
+      clearSpotifySession(req);
+    }
+    throw error;
+  }
+}
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = '';
+// Refresh the user's token shortly before it expires
+async function refreshSpotifyTokenIfNeeded(req, res, next) {
+  const { spotifyToken, refreshToken, tokenExpiry } = req.session || {};
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  if (!spotifyToken || !refreshToken || !tokenExpiry) {
+    return next();
+  }
 
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const tokenData = JSON.parse(data);
-          writeTokenToDisk(tokenData.access_token, tokenData.expires_in);
-          console.log('✓ Got new access token from Spotify');
-          resolve(tokenData.access_token);
-        } else {
-          reject(new Error(`Failed to get token: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+  if (Date.now() < tokenExpiry - TOKEN_REFRESH_MARGIN) {
+    return next();
+  }
 
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  try {
+    await refreshUserToken(req);
+  } catch (error) {
+    // Carry on with whatever token we have; routes handle the fallout
+    console.error('✗ Error refreshing Spotify user token:', error.message);
+  }
+  next();
 }
 
-function fetchSpotifyData(accessToken, path) {
-  const options = {
-    hostname: 'api.spotify.com',
-    path: path,
-    method: 'GET',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-    },
-  };
+// Run fn with the user's token, refreshing once and retrying if Spotify answers 401
+async function withUserToken(req, fn) {
+  try {
+    return await fn(req.session.spotifyToken);
+  } catch (error) {
+    if (!(error instanceof SpotifyApiError) || error.status !== 401 || !req.session.refreshToken) {
+      throw error;
+    }
+    console.log('⚠️  Spotify rejected user token, refreshing');
+    const token = await refreshUserToken(req);
+    return fn(token);
+  }
+}
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = '';
+// Run fn with the user's token when they've connected Spotify, else the app token
+async function withSpotifyToken(req, fn) {
+  if (req.session.spotifyToken) {
+    return withUserToken(req, fn);
+  }
+  return fn(await getSpotifyAccessToken());
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+// ============================================================================
+// SPOTIFY API FUNCTIONS
+// ============================================================================
 
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(JSON.parse(data));
-        } else {
-          reject(new Error(`Failed to fetch data: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+// App token kept in memory so it isn't re-read from disk on every request
+let appToken = { token: null, expiry: null };
+
+async function getSpotifyAccessToken() {
+  // Check memory, then the token cached on disk
+  if (!appToken.token || Date.now() >= appToken.expiry) {
+    appToken = readTokenFromDisk();
+  }
+  if (appToken.token && appToken.expiry && Date.now() < appToken.expiry) {
+    return appToken.token;
+  }
+
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error('Spotify credentials not configured. Check your .env file.');
+  }
+
+  const tokenData = await requestSpotifyToken(CLIENT_ID, CLIENT_SECRET, {
+    grant_type: 'client_credentials',
+  });
+
+  writeTokenToDisk(tokenData.access_token, tokenData.expires_in);
+  appToken = { token: tokenData.access_token, expiry: Date.now() + tokenData.expires_in * 1000 };
+  console.log('✓ Got new access token from Spotify');
+  return tokenData.access_token;
+}
+
+// Send a Spotify failure to the client with a status matching what went wrong
+function sendSpotifyError(res, error, message) {
+  const status = httpStatusForError(error);
+
+  if (error.retryAfter && status === 503) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
 
-    req.on('error', reject);
-    req.end();
+  let reason = message;
+  if (error instanceof SpotifyTimeoutError) {
+    reason = 'Spotify did not respond in time';
+  } else if (error instanceof SpotifyRateLimitError || error instanceof SpotifyUnavailableError) {
+    reason = 'Spotify is temporarily unavailable';
+  }
+
+  res.status(status).json({
+    success: false,
+    error: reason,
+    message: error.message,
   });
 }
 
@@ -377,55 +800,70 @@ async function getMultipleArtists(accessToken, artistIds) {
 
   const allArtists = [];
 
+  // Rate limiting and retries are handled by the Spotify client; a batch that
+  // still fails fails the whole call rather than returning a partial list
   for (const batch of batches) {
-    try {
-      const idsParam = batch.join(',');
-      const data = await fetchSpotifyData(accessToken, `/v1/artists?ids=${idsParam}`);
-
-      if (data.artists) {
-        allArtists.push(...data.artists.filter((artist) => artist !== null));
-      }
+    const idsParam = batch.join(',');
+    const data = await fetchSpotifyData(accessToken, `/v1/artists?ids=${idsParam}`);
 
-      // Small delay between batches to avoid rate limiting
-      if (batches.length > 1) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      }
-    } catch (error) {
-      console.error('Error fetching artist batch:', error.message);
+    if (data.artists) {
+      allArtists.push(...data.artists.filter((artist) => artist !== null));
     }
   }
 
   return allArtists;
 }
 
-// Get top 50 global artists
-async function getTopArtists(accessToken) {
-  console.log('Fetching top artists from Spotify...');
+// Shape a Spotify artist object the way our API serves artists
+function formatArtist(artist) {
+  return {
+    id: artist.id,
+    name: artist.name,
+    genres: artist.genres || [],
+    popularity: artist.popularity || 0,
+    followers: artist.followers?.total || 0,
+    images: artist.images || [],
+    spotify_url: artist.external_urls?.spotify || ''
+  };
+}
+
+// Get top 50 artists, globally or for one market, along with the chart for
+// each seed genre: { artists, genres: { [genre]: artists } }
+async function getTopArtists(accessToken, market = GLOBAL_MARKET) {
+  console.log(`Fetching ${market} top artists from Spotify...`);
   
   try {
     const artistIds = new Set();
+    const genreCharts = {};
+    const marketParam = market === GLOBAL_MARKET ? '' : `&market=${market}`;
     
-    const genres = ['pop', 'rock', 'hip-hop', 'rap', 'r-n-b', 'electronic', 'indie', 'country'];
-    
-    console.log('Searching for popular artists across genres...');
+    console.log(`Searching for popular artists across ${CHART_GENRES.length} genres...`);
     
-    for (const genre of genres) {
+    for (const genre of CHART_GENRES) {
       try {
         const searchData = await fetchSpotifyData(
           accessToken,
-          `/v1/search?q=genre:${encodeURIComponent(genre)}&type=artist&limit=20`
+          `/v1/search?q=genre:${encodeURIComponent(`"${genre}"`)}&type=artist&limit=20${marketParam}`
         );
         
         if (searchData.artists && searchData.artists.items) {
+          // Search results are full artist objects, good enough for a genre chart as-is
+          genreCharts[genre] = searchData.artists.items
+            .filter(artist => artist && artist.id)
+            .map(formatArtist)
+            .sort((a, b) => b.popularity - a.popularity);
+
           searchData.artists.items.forEach(artist => {
             if (artist.id && artist.popularity > 50) {
               artistIds.add(artist.id);
             }
           });
         }
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
       } catch (error) {
+        // No point trying the remaining genres while Spotify is down
+        if (error instanceof SpotifyUnavailableError) {
+          throw error;
+        }
         console.error(`Error searching for ${genre} artists:`, error.message);
       }
     }
@@ -436,7 +874,7 @@ async function getTopArtists(accessToken) {
       try {
         const popularSearch = await fetchSpotifyData(
           accessToken,
-          '/v1/search?q=year:2020-2026&type=artist&limit=50'
+          `/v1/search?q=year:2020-2026&type=artist&limit=50${marketParam}`
         );
         
         if (popularSearch.artists && popularSearch.artists.items) {
@@ -466,18 +904,10 @@ async function getTopArtists(accessToken) {
     
     const formattedArtists = detailedArtists
       .filter(artist => artist && artist.id)
-      .map(artist => ({
-        id: artist.id,
-        name: artist.name,
-        genres: artist.genres || [],
-        popularity: artist.popularity || 0,
-        followers: artist.followers?.total || 0,
-        images: artist.images || [],
-        spotify_url: artist.external_urls?.spotify || ''
-      }))
+      .map(formatArtist)
       .sort((a, b) => b.popularity - a.popularity);
     
-    return formattedArtists;
+    return { artists: formattedArtists, genres: genreCharts };
     
   } catch (error) {
     console.error('Error in getTopArtists:', error);
@@ -485,6 +915,125 @@ async function getTopArtists(accessToken) {
   }
 }
 
+// Get an artist's top five tracks in a market
+async function getArtistTopTracks(accessToken, artistId, market) {
+  const data = await fetchSpotifyData(accessToken, `/v1/artists/${artistId}/top-tracks?market=${market}`);
+  return (data.tracks || []).slice(0, 5).map((track) => ({
+    id: track.id,
+    name: track.name,
+    album: track.album.name,
+    album_id: track.album.id,
+    image: track.album.images?.length ? track.album.images[track.album.images.length - 1].url : null,
+    preview_url: track.preview_url,
+    spotify_url: track.external_urls.spotify,
+  }));
+}
+
+// Get an album with its full tracklist (Spotify embeds the first 50 tracks)
+async function getAlbum(accessToken, albumId, market) {
+  const album = await fetchSpotifyData(accessToken, `/v1/albums/${albumId}?market=${market}`);
+  const tracks = [...(album.tracks?.items || [])];
+  const total = album.tracks?.total || tracks.length;
+
+  while (tracks.length < total) {
+    const page = await fetchSpotifyData(
+      accessToken,
+      `/v1/albums/${albumId}/tracks?limit=50&offset=${tracks.length}&market=${market}`
+    );
+    if (!page.items || !page.items.length) {
+      break;
+    }
+    tracks.push(...page.items);
+  }
+
+  return {
+    album: {
+      ...formatAlbum(album),
+      label: album.label || null,
+      popularity: album.popularity ?? null,
+      copyrights: (album.copyrights || []).map((copyright) => copyright.text),
+    },
+    tracks: tracks.map((track) => ({
+      id: track.id,
+      name: track.name,
+      artists: (track.artists || []).map((artist) => ({ id: artist.id, name: artist.name })),
+      track_number: track.track_number,
+      disc_number: track.disc_number,
+      duration_ms: track.duration_ms,
+      explicit: Boolean(track.explicit),
+      preview_url: track.preview_url,
+      spotify_url: track.external_urls?.spotify || '',
+    })),
+  };
+}
+
+// Get artists Spotify considers similar to this one
+async function getRelatedArtists(accessToken, artistId) {
+  const data = await fetchSpotifyData(accessToken, `/v1/artists/${artistId}/related-artists`);
+  return (data.artists || []).filter((artist) => artist && artist.id).map(formatArtist);
+}
+
+// Create a private playlist in the user's account and fill it with tracks.
+// Returns { playlist, complete }.
+//
+// Creating the playlist is never retried, not even after a token refresh, so
+// a lost response can't leave a second playlist behind. Adding a batch of
+// tracks is retried only after a 401, which means Spotify didn't apply it.
+// If the tracks still can't be added, the playlist is unfollowed (Spotify's
+// way of deleting one) and the error is rethrown; should that fail too, the
+// incomplete playlist is returned with complete: false.
+async function createPlaylist(req, name, description, trackUris) {
+  if (Date.now() >= req.session.tokenExpiry - PLAYLIST_TOKEN_MARGIN) {
+    await refreshUserToken(req);
+  }
+
+  if (!req.session.spotifyUserId) {
+    const profile = await withUserToken(req, (token) => getUserProfile(token));
+    req.session.spotifyUserId = profile.id;
+  }
+
+  const created = await fetchSpotifyData(
+    req.session.spotifyToken,
+    `/v1/users/${encodeURIComponent(req.session.spotifyUserId)}/playlists`,
+    { method: 'POST', body: { name, description, public: false }, retries: 0 }
+  );
+
+  const playlist = {
+    id: created.id,
+    name: created.name,
+    url: created.external_urls?.spotify || '',
+    trackCount: 0,
+  };
+
+  try {
+    for (let i = 0; i < trackUris.length; i += PLAYLIST_TRACKS_PER_REQUEST) {
+      const uris = trackUris.slice(i, i + PLAYLIST_TRACKS_PER_REQUEST);
+      await withUserToken(req, (token) =>
+        fetchSpotifyData(token, `/v1/playlists/${playlist.id}/tracks`, { method: 'POST', body: { uris }, retries: 0 })
+      );
+      playlist.trackCount += uris.length;
+    }
+  } catch (error) {
+    console.error(`✗ Adding tracks to playlist ${playlist.id} failed, removing it:`, error.message);
+    try {
+      await withUserToken(req, (token) =>
+        fetchSpotifyData(token, `/v1/playlists/${playlist.id}/followers`, { method: 'DELETE' })
+      );
+    } catch (cleanupError) {
+      console.error(`✗ Could not remove incomplete playlist ${playlist.id}:`, cleanupError.message);
+      return { playlist, complete: false };
+    }
+    throw error;
+  }
+
+  return { playlist, complete: true };
+}
+
+// Get the Spotify user's profile (country drives their default market)
+async function getUserProfile(userAccessToken) {
+  return fetchSpotifyData(userAccessToken, '/v1/me');
+}
+
 // Get user's top artists
 async function getUserTopArtists(userAccessToken, limit = 50, timeRange = 'medium_term') {
   try {
@@ -492,48 +1041,564 @@ async function getUserTopArtists(userAccessToken, limit = 50, timeRange = 'mediu
       userAccessToken,
       `/v1/me/top/artists?limit=${limit}&time_range=${timeRange}`
     );
-    return data.items || [];
+    return (data.items || []).map(formatArtist);
   } catch (error) {
     console.error('Error fetching user top artists:', error);
     throw error;
   }
 }
 
+// Get a page of the artists a user follows (Spotify pages these by cursor)
+async function getFollowedArtists(userAccessToken, limit = 50, after = null) {
+  const params = new URLSearchParams({ type: 'artist', limit: String(limit) });
+  if (after) {
+    params.set('after', after);
+  }
+
+  const data = await fetchSpotifyData(userAccessToken, `/v1/me/following?${params}`);
+  const page = data.artists || {};
+
+  return {
+    artists: (page.items || []).map(formatArtist),
+    total: page.total ?? null,
+    next: page.next ? page.cursors?.after || null : null,
+  };
+}
+
+// Shape a Spotify track object for search results
+function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: (track.artists || []).map((artist) => ({ id: artist.id, name: artist.name })),
+    album: {
+      id: track.album?.id,
+      name: track.album?.name,
+      images: track.album?.images || [],
+    },
+    duration_ms: track.duration_ms,
+    preview_url: track.preview_url,
+    spotify_url: track.external_urls?.spotify || '',
+  };
+}
+
+// Shape a Spotify album object for search results
+function formatAlbum(album) {
+  return {
+    id: album.id,
+    name: album.name,
+    artists: (album.artists || []).map((artist) => ({ id: artist.id, name: artist.name })),
+    album_type: album.album_type,
+    release_date: album.release_date,
+    total_tracks: album.total_tracks || 0,
+    images: album.images || [],
+    spotify_url: album.external_urls?.spotify || '',
+  };
+}
+
+// Search Spotify, returning one page per requested type
+async function searchSpotify(accessToken, query, types, limit, offset, market) {
+  const params = new URLSearchParams({
+    q: query,
+    type: types.join(','),
+    limit: String(limit),
+    offset: String(offset),
+  });
+  if (market !== GLOBAL_MARKET) {
+    params.set('market', market);
+  }
+
+  const data = await fetchSpotifyData(accessToken, `/v1/search?${params}`);
+  const formatters = { artist: formatArtist, track: formatTrack, album: formatAlbum };
+
+  const results = {};
+  for (const type of types) {
+    const page = data[`${type}s`] || {};
+    results[`${type}s`] = {
+      items: (page.items || []).filter((item) => item && item.id).map(formatters[type]),
+      total: page.total || 0,
+      limit,
+      offset,
+      hasMore: !!page.next,
+    };
+  }
+  return results;
+}
+
+// Shape a Spotify album object the way we store and serve releases
+function formatRelease(album, artist) {
+  return {
+    id: album.id,
+    artist_id: artist.id,
+    artist_name: artist.name,
+    name: album.name,
+    album_type: album.album_type,
+    release_date: album.release_date,
+    total_tracks: album.total_tracks || 0,
+    images: album.images || [],
+    spotify_url: album.external_urls?.spotify || '',
+  };
+}
+
+// A real calendar date in YYYY-MM-DD form; Date.parse alone would accept
+// 2024-02-30 and roll it over into March
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Spotify gives some release dates as only a year or a year and month
+// (release_date_precision). Pad those to the last day of the period so they
+// compare and sort against full dates instead of falling out of date filters.
+function releaseDateEnd(date) {
+  if (/^\d{4}$/.test(date)) {
+    return `${date}-12-31`;
+  }
+  if (/^\d{4}-\d{2}$/.test(date)) {
+    const [year, month] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return `${date}-${String(lastDay).padStart(2, '0')}`;
+  }
+  return date;
+}
+
+// Get an artist's most recent albums and singles. Each group is fetched on
+// its own: Spotify lists every album before any single, so one combined
+// request never reaches the singles of an artist with a long discography.
+async function getArtistReleases(accessToken, artist, limit = 10) {
+  const groups = await Promise.all(['album', 'single'].map((group) => fetchSpotifyData(
+    accessToken,
+    `/v1/artists/${artist.id}/albums?include_groups=${group}&limit=${limit}`
+  )));
+  return groups
+    .flatMap((data) => data.items || [])
+    .map((album) => formatRelease(album, artist))
+    .sort((a, b) => releaseDateEnd(b.release_date).localeCompare(releaseDateEnd(a.release_date)))
+    .slice(0, limit);
+}
+
 // Refresh cache
-async function refreshCache() {
+// Refresh a market's chart - at most one refresh per market in this process,
+// and one across all processes sharing the cache directory
+function refreshCache(market = GLOBAL_MARKET) {
+  if (!pendingChartRefreshes.has(market)) {
+    const pending = runChartRefresh(market).finally(() => pendingChartRefreshes.delete(market));
+    pendingChartRefreshes.set(market, pending);
+  }
+  return pendingChartRefreshes.get(market);
+}
+
+async function runChartRefresh(market) {
+  // Another process may already have done the work
+  adoptNewerDiskCache(market);
+  if (isCacheValid(market)) {
+    return getCachedArtists(market);
+  }
+
+  if (!acquireRefreshLock(market)) {
+    console.log(`⏳ Another process is refreshing the ${market} chart, waiting for it`);
+    return waitForOtherRefresh(market);
+  }
+
   try {
-    console.log('🔄 Refreshing artist cache...');
+    console.log(`🔄 Refreshing ${market} artist cache...`);
     const accessToken = await getSpotifyAccessToken();
-    const artists = await getTopArtists(accessToken);
+    const { artists, genres } = await getTopArtists(accessToken, market);
 
     if (!artists.length) {
       throw new Error("No artists returned from Spotify");
     }
 
-    writeCacheToDisk(artists);
+    const rankedArtists = recordChartSnapshot(artists, market);
+    chartCache.set(market, writeCacheToDisk(rankedArtists, market, genres));
+    failedChartRefreshes.delete(market);
+    invalidateChangedArtistDetails(rankedArtists);
     console.log(`✓ Cache refreshed with ${artists.length} artists`);
-    return artists;
+    return rankedArtists;
   } catch (error) {
-    console.error('✗ Error refreshing cache:', error.message);
-    return getCachedArtists() || [];
+    console.error(`✗ Error refreshing ${market} cache:`, error.message);
+    failedChartRefreshes.set(market, Date.now());
+    const cached = getCachedArtists(market);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  } finally {
+    releaseRefreshLock(market);
   }
 }
 
-// ============================================================================
-// ROUTES
-// ============================================================================
+// Work out which market a request is for: an explicit ?market= (a supported
+// country code or 'global'), else the Spotify user's country, else global.
+// Returns null for an unsupported market.
+function resolveMarket(req) {
+  const requested = req.query.market;
 
-// Health check
-app.get('/api/health', (req, res) => {
-  const cache = readCacheFromDisk();
-  const cacheStatus = isCacheValid() ? 'valid' : 'expired';
-  const cacheAge = cache.timestamp ? Math.floor((Date.now() - cache.timestamp) / 1000) : null;
+  if (requested === undefined || requested === '') {
+    const country = req.session.spotifyCountry;
+    return country && MARKETS[country] ? country : GLOBAL_MARKET;
+  }
 
-  let cacheFileSize = 0;
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const stats = fs.statSync(CACHE_FILE);
-      cacheFileSize = Math.round(stats.size / 1024);
+  if (typeof requested !== 'string') {
+    return null;
+  }
+
+  const market = requested === GLOBAL_MARKET ? GLOBAL_MARKET : requested.toUpperCase();
+  return market === GLOBAL_MARKET || MARKETS[market] ? market : null;
+}
+
+function sendInvalidMarket(res) {
+  res.status(400).json({
+    success: false,
+    error: 'Invalid market',
+    message: `market must be 'global' or one of: ${Object.keys(MARKETS).join(', ')}`,
+  });
+}
+
+function marketName(market) {
+  return market === GLOBAL_MARKET ? 'Global' : MARKETS[market];
+}
+
+// Parse and validate sort/filter/paging query parameters for artist lists.
+// Returns { error } for bad input.
+function parseArtistListQuery(query) {
+  const sort = query.sort || 'rank';
+  const genre = typeof query.genre === 'string' ? query.genre.trim().toLowerCase() : '';
+  const minPopularity = query.minPopularity === undefined ? 0 : Number(query.minPopularity);
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!ARTIST_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${ARTIST_SORTS.join(', ')}` };
+  }
+  if (genre.length > 40) {
+    return { error: 'genre must be 40 characters or less' };
+  }
+  if (!Number.isInteger(minPopularity) || minPopularity < 0 || minPopularity > 100) {
+    return { error: 'minPopularity must be an integer between 0 and 100' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return { error: 'limit must be an integer between 1 and 50' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { sort, genre, minPopularity, limit, offset };
+}
+
+// Climbers first: new entries and re-entries, then by places gained; artists
+// with no movement data go last
+function movementScore(movement) {
+  if (!movement) return -Infinity;
+  if (movement.status === 'new' || movement.status === 're-entry') return Infinity;
+  if (movement.status === 'up') return movement.change;
+  if (movement.status === 'down') return -movement.change;
+  return 0;
+}
+
+function applyArtistListQuery(artists, { sort, genre, minPopularity, limit, offset }) {
+  let result = artists.filter((artist) => (artist.popularity || 0) >= minPopularity);
+
+  // Substring match so 'rock' also finds 'indie rock'
+  if (genre) {
+    result = result.filter((artist) => (artist.genres || []).some((g) => g.toLowerCase().includes(genre)));
+  }
+
+  const comparators = {
+    popularity: (a, b) => b.popularity - a.popularity,
+    followers: (a, b) => b.followers - a.followers,
+    name: (a, b) => a.name.localeCompare(b.name),
+    movement: (a, b) => movementScore(b.movement) - movementScore(a.movement),
+  };
+  if (comparators[sort]) {
+    // Sorting is stable, so ties keep their chart order
+    result = [...result].sort(comparators[sort]);
+  }
+
+  return {
+    artists: result.slice(offset, offset + limit),
+    total: result.length,
+  };
+}
+
+// Rank both lists and mark the artists they share. The mainstream score
+// (0-100) weighs the average popularity of the user's artists at 60% and the
+// share of them that are on the chart at 40%.
+function compareArtistLists(personal, chart) {
+  const personalRanks = new Map(personal.map((artist, index) => [artist.id, index + 1]));
+  const chartRanks = new Map(chart.map((artist, index) => [artist.id, index + 1]));
+
+  const compact = (artist, rank, otherRank) => ({
+    id: artist.id,
+    name: artist.name,
+    images: artist.images || [],
+    popularity: artist.popularity,
+    rank,
+    otherRank: otherRank ?? null,
+    shared: otherRank !== undefined,
+  });
+
+  const personalList = personal.map((artist, index) => compact(artist, index + 1, chartRanks.get(artist.id)));
+  const chartList = chart.map((artist, index) => compact(artist, index + 1, personalRanks.get(artist.id)));
+
+  const shared = personalList
+    .filter((artist) => artist.shared)
+    .map((artist) => ({ id: artist.id, name: artist.name, personalRank: artist.rank, chartRank: artist.otherRank }));
+
+  const averagePopularity = personal.length
+    ? personal.reduce((sum, artist) => sum + (artist.popularity || 0), 0) / personal.length
+    : 0;
+  const overlap = personal.length ? shared.length / personal.length : 0;
+
+  return {
+    personal: personalList,
+    chart: chartList,
+    shared,
+    uniqueToYou: personalList.filter((artist) => !artist.shared).map(({ id, name, rank }) => ({ id, name, rank })),
+    uniqueToChart: chartList.filter((artist) => !artist.shared).map(({ id, name, rank }) => ({ id, name, rank })),
+    averagePopularity: Math.round(averagePopularity),
+    mainstreamScore: Math.round(averagePopularity * 0.6 + overlap * 100 * 0.4),
+  };
+}
+
+// Summarize one time range of a user's top artists: genre shares, average
+// popularity (and its inverse, obscurity) and how many artists fall in each follower tier
+function tasteProfile(artists) {
+  const genreCounts = new Map();
+  for (const artist of artists) {
+    for (const genre of artist.genres || []) {
+      genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+    }
+  }
+
+  const averagePopularity = artists.length
+    ? Math.round(artists.reduce((sum, artist) => sum + (artist.popularity || 0), 0) / artists.length)
+    : 0;
+
+  const tiers = FOLLOWER_TIERS.map((tier) => ({ id: tier.id, label: tier.label, count: 0 }));
+  for (const artist of artists) {
+    const index = FOLLOWER_TIERS.findIndex((tier) => (artist.followers || 0) < tier.max);
+    tiers[index].count += 1;
+  }
+
+  return {
+    artistCount: artists.length,
+    // Share of artists tagged with each genre, so the numbers don't add up to 100
+    genres: [...genreCounts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([genre, count]) => ({ genre, count, share: Math.round((count / artists.length) * 100) })),
+    averagePopularity,
+    obscurity: artists.length ? 100 - averagePopularity : null,
+    followerTiers: tiers,
+  };
+}
+
+// Genres that gained or lost the most share between long term and short term
+function tasteShifts(longTerm, shortTerm) {
+  const shareOf = (profile) => new Map(profile.genres.map((genre) => [genre.genre, genre.share]));
+  const before = shareOf(longTerm);
+  const after = shareOf(shortTerm);
+
+  const changes = [...new Set([...before.keys(), ...after.keys()])].map((genre) => ({
+    genre,
+    before: before.get(genre) || 0,
+    after: after.get(genre) || 0,
+    change: (after.get(genre) || 0) - (before.get(genre) || 0),
+  }));
+
+  return {
+    rising: changes.filter((genre) => genre.change > 0).sort((a, b) => b.change - a.change).slice(0, 5),
+    fading: changes.filter((genre) => genre.change < 0).sort((a, b) => a.change - b.change).slice(0, 5),
+    popularityChange: shortTerm.averagePopularity - longTerm.averagePopularity,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Chart exports (CSV, JSON download, Atom feed)
+// ----------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  'rank', 'name', 'id', 'genres', 'popularity', 'followers',
+  'movement', 'change', 'previous_rank', 'spotify_url',
+];
+
+// Load a market's chart, apply the list query, and flatten each artist into
+// the row shape both downloads share. Rank is the chart position, whatever the sort.
+async function getChartExport(market, listQuery) {
+  const artists = await getChartArtists(market);
+  const ranked = artists.map((artist, index) => ({ ...artist, rank: index + 1 }));
+  const { artists: page } = applyArtistListQuery(ranked, listQuery);
+
+  return {
+    timestamp: chartCache.get(market)?.timestamp || Date.now(),
+    rows: page.map((artist) => ({
+      rank: artist.rank,
+      name: artist.name,
+      id: artist.id,
+      genres: artist.genres || [],
+      popularity: artist.popularity,
+      followers: artist.followers,
+      movement: artist.movement?.status || null,
+      change: artist.movement?.change ?? null,
+      previous_rank: artist.movement?.previousRank ?? null,
+      spotify_url: artist.spotify_url || '',
+    })),
+  };
+}
+
+function exportFilename(market, timestamp, extension) {
+  return `top-artists-${market.toLowerCase()}-${new Date(timestamp).toISOString().slice(0, 10)}.${extension}`;
+}
+
+// Quote fields that need it, and defuse values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone: '2024-05-01 12:00:00'
+function snapshotDate(takenAt) {
+  return new Date(`${takenAt.replace(' ', 'T')}Z`);
+}
+
+// Compare a snapshot with the one before it: who's new, who climbed and who fell
+function describeSnapshot(entries, previousEntries) {
+  const previousRanks = new Map((previousEntries || []).map((entry) => [entry.artist_id, entry.rank]));
+  const moves = entries
+    .filter((entry) => previousRanks.has(entry.artist_id))
+    .map((entry) => {
+      const previousRank = previousRanks.get(entry.artist_id);
+      return { ...entry, previousRank, change: previousRank - entry.rank };
+    });
+
+  return {
+    newEntries: previousEntries ? entries.filter((entry) => !previousRanks.has(entry.artist_id)) : [],
+    climbers: moves.filter((entry) => entry.change > 0).sort((a, b) => b.change - a.change).slice(0, 5),
+    fallers: moves.filter((entry) => entry.change < 0).sort((a, b) => a.change - b.change).slice(0, 5),
+  };
+}
+
+// HTML body of a feed entry; escaped again when it goes into the XML
+function renderSnapshotHtml(entries, { newEntries, climbers, fallers }) {
+  const name = (entry) => escapeXml(entry.name);
+  const sections = [];
+
+  if (newEntries.length) {
+    sections.push(`<h3>New entries</h3><ul>${newEntries
+      .map((entry) => `<li>#${entry.rank} ${name(entry)}</li>`).join('')}</ul>`);
+  }
+  if (climbers.length) {
+    sections.push(`<h3>Biggest climbers</h3><ul>${climbers
+      .map((entry) => `<li>${name(entry)} ▲${entry.change} (#${entry.previousRank} → #${entry.rank})</li>`).join('')}</ul>`);
+  }
+  if (fallers.length) {
+    sections.push(`<h3>Biggest drops</h3><ul>${fallers
+      .map((entry) => `<li>${name(entry)} ▼${-entry.change} (#${entry.previousRank} → #${entry.rank})</li>`).join('')}</ul>`);
+  }
+  sections.push(`<h3>Top 10</h3><ol>${entries.slice(0, 10)
+    .map((entry) => `<li>${name(entry)}</li>`).join('')}</ol>`);
+
+  return sections.join('');
+}
+
+function renderChartFeed(market, snapshots, baseUrl) {
+  const chartTitle = `${marketName(market)} Top 50`;
+  const selfUrl = `${baseUrl}/feed.xml?market=${market}`;
+  const chartUrl = market === GLOBAL_MARKET ? `${baseUrl}/` : `${baseUrl}/?market=${market}`;
+  const host = new URL(baseUrl).hostname;
+  const updated = snapshots.length ? snapshotDate(snapshots[0].snapshot.taken_at) : new Date();
+
+  const entries = snapshots.map(({ snapshot, entries: chartEntries, changes }) => {
+    const takenAt = snapshotDate(snapshot.taken_at);
+    const summary = [
+      `${changes.newEntries.length} new ${changes.newEntries.length === 1 ? 'entry' : 'entries'}`,
+      changes.climbers[0] ? `biggest climber: ${changes.climbers[0].name} (▲${changes.climbers[0].change})` : null,
+      chartEntries[0] ? `#1: ${chartEntries[0].name}` : null,
+    ].filter(Boolean).join(' · ');
+
+    return `  <entry>
+    <title>${escapeXml(`${chartTitle} · ${takenAt.toISOString().slice(0, 10)}`)}</title>
+    <id>tag:${host},${takenAt.toISOString().slice(0, 10)}:chart/${market}/${snapshot.id}</id>
+    <updated>${takenAt.toISOString()}</updated>
+    <link href="${escapeXml(chartUrl)}"/>
+    <summary>${escapeXml(summary)}</summary>
+    <content type="html">${escapeXml(renderSnapshotHtml(chartEntries, changes))}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(`Keep Up With The Music · ${chartTitle}`)}</title>
+  <subtitle>A new entry every time the chart refreshes</subtitle>
+  <id>${escapeXml(selfUrl)}</id>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link href="${escapeXml(chartUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>Keep Up With The Music</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+// Recent search results keyed by normalized query parameters
+const searchCache = new Map();
+
+function getCachedSearch(key) {
+  const entry = searchCache.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (Date.now() - entry.timestamp > SEARCH_CACHE_TTL) {
+    searchCache.delete(key);
+    return null;
+  }
+  return entry.results;
+}
+
+function setCachedSearch(key, results) {
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  if (searchCache.size >= SEARCH_CACHE_MAX_ENTRIES) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+  searchCache.set(key, { results, timestamp: Date.now() });
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+app.use('/api', refreshSpotifyTokenIfNeeded);
+
+// Health check
+app.get('/api/health', (req, res) => {
+  const cache = chartCache.get(GLOBAL_MARKET) || { artists: null, timestamp: null };
+  const cacheStatus = isCacheValid() ? 'valid' : 'expired';
+  const cacheAge = cache.timestamp ? Math.floor((Date.now() - cache.timestamp) / 1000) : null;
+
+  let cacheFileSize = 0;
+  try {
+    if (fs.existsSync(CACHE_FILE)) {
+      const stats = fs.statSync(CACHE_FILE);
+      cacheFileSize = Math.round(stats.size / 1024);
     }
   } catch (error) {
     // Ignore
@@ -548,273 +1613,1691 @@ app.get('/api/health', (req, res) => {
       ageSeconds: cacheAge,
       artistCount: cache.artists ? cache.artists.length : 0,
       fileSizeKB: cacheFileSize,
+      markets: [...chartCache.keys()],
+      refreshing: [...pendingChartRefreshes.keys()],
     },
+    detailCache: getDetailCacheStats(),
+    spotify: getCircuitState(),
+  });
+});
+
+// Markets for the market picker, plus the default for this session
+app.get('/api/markets', (req, res) => {
+  const country = req.session.spotifyCountry;
+
+  res.json({
+    success: true,
+    markets: Object.entries(MARKETS).map(([code, name]) => ({ code, name })),
+    defaultMarket: country && MARKETS[country] ? country : GLOBAL_MARKET,
   });
 });
 
 // Get top artists
 app.get('/api/artists', async (req, res) => {
+  const timeRange = req.query.timeRange || 'medium_term';
+  const requestedSource = req.query.source;
+  const market = resolveMarket(req);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  if (requestedSource !== undefined && !['personal', 'global'].includes(requestedSource)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid source',
+      message: 'source must be one of: personal, global',
+    });
+  }
+
+  if (!TIME_RANGES.includes(timeRange)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timeRange',
+      message: `timeRange must be one of: ${TIME_RANGES.join(', ')}`,
+    });
+  }
+
+  const listQuery = parseArtistListQuery(req.query);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: 'Invalid list parameters', message: listQuery.error });
+  }
+
   try {
     let artists;
     let source = 'global';
 
-    if (req.session.spotifyToken) {
+    if (req.session.spotifyToken && requestedSource !== 'global') {
       try {
-        artists = await getUserTopArtists(req.session.spotifyToken);
+        artists = await withUserToken(req, (token) => getUserTopArtists(token, 50, timeRange));
         source = 'personal';
         console.log(`✓ Serving personal top artists for authenticated user`);
       } catch (error) {
         console.error('Error fetching user artists, falling back to global:', error.message);
-        delete req.session.spotifyToken;
+        // Only a token Spotify still won't accept ends the Spotify login;
+        // an outage just means global data for this request
+        if (error instanceof SpotifyApiError && (error.status === 401 || error.status === 403)) {
+          clearSpotifySession(req);
+        }
       }
     }
 
     if (!artists) {
-      if (isCacheValid()) {
-        console.log('✓ Serving global artists from cache');
-        artists = getCachedArtists();
-      } else {
-        console.log('⚠️  Cache expired, fetching fresh data');
-        artists = await refreshCache();
-      }
+      artists = await getChartArtists(market);
     }
 
+    const page = applyArtistListQuery(artists, listQuery);
+
     res.json({
       success: true,
-      artists: artists,
-      count: artists.length,
+      artists: page.artists,
+      count: page.artists.length,
+      total: page.total,
+      offset: listQuery.offset,
+      limit: listQuery.limit,
+      sort: listQuery.sort,
       source: source,
-      cached: source === 'global' && isCacheValid(),
+      timeRange: source === 'personal' ? timeRange : null,
+      market: source === 'global' ? market : null,
+      cached: source === 'global',
+      stale: source === 'global' && !isCacheValid(market),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     console.error('✗ Error fetching artists:', error);
-    res.status(500).json({
+    sendSpotifyError(res, error, 'Failed to fetch artists from Spotify');
+  }
+});
+
+// The user's top artists next to a chart: who's on both, who's only on one,
+// and how mainstream the user's taste is
+app.get('/api/compare', requireSpotifyAuth, async (req, res) => {
+  const timeRange = req.query.timeRange || 'medium_term';
+  const market = resolveMarket(req);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  if (!TIME_RANGES.includes(timeRange)) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to fetch artists from Spotify',
-      message: error.message,
+      error: 'Invalid timeRange',
+      message: `timeRange must be one of: ${TIME_RANGES.join(', ')}`,
     });
   }
-});
 
-// Get specific artist details
-app.get('/api/artists/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const accessToken = req.session.spotifyToken || (await getSpotifyAccessToken());
-
-    const [artist, topTracks] = await Promise.all([
-      fetchSpotifyData(accessToken, `/v1/artists/${id}`),
-      fetchSpotifyData(accessToken, `/v1/artists/${id}/top-tracks?market=US`),
+    const [personal, chart] = await Promise.all([
+      withUserToken(req, (token) => getUserTopArtists(token, 50, timeRange)),
+      getChartArtists(market),
     ]);
 
     res.json({
       success: true,
-      artist: {
-        id: artist.id,
-        name: artist.name,
-        genres: artist.genres,
-        popularity: artist.popularity,
-        followers: artist.followers.total,
-        images: artist.images,
-        spotify_url: artist.external_urls.spotify,
-      },
-      topTracks: topTracks.tracks.slice(0, 5).map((track) => ({
-        id: track.id,
-        name: track.name,
-        album: track.album.name,
-        preview_url: track.preview_url,
-        spotify_url: track.external_urls.spotify,
-      })),
+      timeRange,
+      market,
+      ...compareArtistLists(personal, chart),
+      timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('✗ Error fetching artist details:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch artist details',
-      message: error.message,
-    });
+    console.error('✗ Error comparing charts:', error);
+    sendSpotifyError(res, error, 'Failed to compare with the chart');
   }
 });
 
-// Comments page
-app.get("/comments", (req, res) => {
-  res.sendFile(path.join(__dirname, "public/comments.html"));
-});
+// Chart as a CSV file, e.g. for pasting into a spreadsheet
+app.get('/api/artists.csv', async (req, res) => {
+  const market = resolveMarket(req);
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
 
-// Home page
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "public/index.html"));
-});
+  const listQuery = parseArtistListQuery(req.query);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: 'Invalid list parameters', message: listQuery.error });
+  }
 
-// Spotify auth status
-app.get("/api/auth/spotify/status", (req, res) => {
-  res.json({
-    authenticated: !!req.session.spotifyToken
-  });
+  try {
+    const { rows, timestamp } = await getChartExport(market, listQuery);
+    const csv = [
+      CSV_COLUMNS.join(','),
+      ...rows.map((row) => CSV_COLUMNS.map((column) => csvField(row[column])).join(',')),
+    ].join('\r\n');
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(exportFilename(market, timestamp, 'csv'));
+    res.send(`${csv}\r\n`);
+  } catch (error) {
+    console.error('✗ Error exporting chart as CSV:', error);
+    sendSpotifyError(res, error, 'Failed to export chart');
+  }
 });
 
-// Check authentication status for comments
-app.get('/api/auth/status', (req, res) => {
-  res.json({
-    authenticated: !!req.session.user,
-    user: req.session.user || null,
-    expiresAt: req.session.cookie ? req.session.cookie.expires : null,
-  });
+// Chart as a downloadable JSON file
+app.get('/api/artists.json', async (req, res) => {
+  const market = resolveMarket(req);
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  const listQuery = parseArtistListQuery(req.query);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: 'Invalid list parameters', message: listQuery.error });
+  }
+
+  try {
+    const { rows, timestamp } = await getChartExport(market, listQuery);
+
+    res.attachment(exportFilename(market, timestamp, 'json'));
+    res.send(JSON.stringify({
+      market,
+      chart: `${marketName(market)} Top 50`,
+      updatedAt: new Date(timestamp).toISOString(),
+      artists: rows,
+    }, null, 2));
+  } catch (error) {
+    console.error('✗ Error exporting chart as JSON:', error);
+    sendSpotifyError(res, error, 'Failed to export chart');
+  }
 });
 
-// ============================================================================
-// SPOTIFY OAUTH
-// ============================================================================
+// Get specific artist details
+app.get('/api/artists/:id', async (req, res) => {
+  const { id } = req.params;
+  const market = resolveMarket(req);
 
-app.get('/auth/spotify', (req, res) => {
-  const state = crypto.randomBytes(16).toString('hex');
-  req.session.oauthState = state;
+  if (!SPOTIFY_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
 
-  const scope = [
-    'user-read-email',
-    'user-read-private',
-    'user-top-read',
-  ].join(' ');
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
 
-  const params = new URLSearchParams({
-    response_type: 'code',
-    client_id: CLIENT_ID,
-    scope,
-    redirect_uri: REDIRECT_URI,
-    state: state,
-  });
+  // Top tracks always need a market; the global chart uses the default one
+  const trackMarket = market === GLOBAL_MARKET ? DEFAULT_TRACK_MARKET : market;
+
+  try {
+    const [artist, topTracks] = await Promise.all([
+      cachedArtistDetail(`artist:${id}`, id, DETAIL_CACHE_TTL.artist, () =>
+        withSpotifyToken(req, async (token) => formatArtist(await fetchSpotifyData(token, `/v1/artists/${id}`)))
+      ),
+      cachedArtistDetail(`top-tracks:${id}:${trackMarket}`, id, DETAIL_CACHE_TTL.topTracks, () =>
+        withSpotifyToken(req, (token) => getArtistTopTracks(token, id, trackMarket))
+      ),
+    ]);
+
+    // Tracked artists come from the release table; anyone else is looked up live
+    let latestReleases = getReleasesByArtist.all(id, 5).map(parseReleaseRow);
+    if (!latestReleases.length) {
+      try {
+        latestReleases = await cachedArtistDetail(`releases:${id}`, id, DETAIL_CACHE_TTL.releases, () =>
+          withSpotifyToken(req, async (token) => (await getArtistReleases(token, artist)).slice(0, 5))
+        );
+      } catch (error) {
+        console.error('Error fetching latest releases:', error.message);
+      }
+    }
 
-  res.redirect(`https://accounts.spotify.com/authorize?${params}`);
+    res.json({
+      success: true,
+      artist,
+      topTracks,
+      latestReleases,
+      market: trackMarket,
+    });
+  } catch (error) {
+    console.error('✗ Error fetching artist details:', error);
+    sendSpotifyError(res, error, 'Failed to fetch artist details');
+  }
 });
 
-app.get('/auth/spotify/callback', async (req, res) => {
-  const { code, state, error } = req.query;
+// Search Spotify for artists, tracks and albums
+app.get('/api/search', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const types = typeof req.query.type === 'string'
+    ? [...new Set(req.query.type.split(',').map((type) => type.trim()))]
+    : ['artist'];
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const market = resolveMarket(req);
+
+  if (!query || query.length > 100) {
+    return res.status(400).json({ success: false, error: 'q must be between 1 and 100 characters' });
+  }
 
-  if (error) {
-    console.error('OAuth error:', error);
-    return res.redirect('/?error=spotify_auth_failed');
+  if (!types.length || types.some((type) => !SEARCH_TYPES.includes(type))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid type',
+      message: `type must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`,
+    });
   }
 
-  if (state !== req.session.oauthState) {
-    console.error('State mismatch - possible CSRF attack');
-    return res.redirect('/?error=invalid_state');
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 50' });
   }
 
-  delete req.session.oauthState;
+  // Spotify refuses offsets past 1000
+  if (!Number.isInteger(offset) || offset < 0 || offset > 1000) {
+    return res.status(400).json({ success: false, error: 'offset must be an integer between 0 and 1000' });
+  }
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  const cacheKey = JSON.stringify([query.toLowerCase(), [...types].sort(), limit, offset, market]);
 
   try {
-    const tokenResponse = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Basic ' + Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64'),
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        code,
-        redirect_uri: REDIRECT_URI,
-      }),
-    });
+    let results = getCachedSearch(cacheKey);
+    const cached = !!results;
 
-    if (!tokenResponse.ok) {
-      throw new Error('Failed to exchange code for token');
+    if (!results) {
+      const accessToken = await getSpotifyAccessToken();
+      results = await searchSpotify(accessToken, query, types, limit, offset, market);
+      setCachedSearch(cacheKey, results);
     }
 
-    const tokenData = await tokenResponse.json();
-
-    req.session.spotifyToken = tokenData.access_token;
-    req.session.refreshToken = tokenData.refresh_token;
-    req.session.tokenExpiry = Date.now() + tokenData.expires_in * 1000;
-    req.session.ua = hashUA(req);
-    console.log('✓ User authenticated successfully');
-    res.redirect('/?auth=success');
-  } catch (err) {
-    console.error('✗ OAuth token exchange failed:', err);
-    res.redirect('/?error=token_exchange_failed');
+    res.json({
+      success: true,
+      query,
+      market,
+      ...results,
+      cached,
+    });
+  } catch (error) {
+    console.error('✗ Error searching Spotify:', error);
+    sendSpotifyError(res, error, 'Failed to search Spotify');
   }
 });
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('✗ Server error:', err.stack);
-  res.status(500).json({
-    error: 'Something went wrong!',
-    message: isDev ? err.message : undefined,
+// Genres with their own chart
+app.get('/api/genres', (req, res) => {
+  const market = resolveMarket(req);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  const genreCharts = getCachedGenres(market) || {};
+
+  res.json({
+    success: true,
+    market,
+    genres: CHART_GENRES.map((genre) => ({
+      genre,
+      count: genreCharts[genre] ? genreCharts[genre].length : 0,
+    })),
   });
 });
 
-// ============================================================================
-// Database SQLite
-// ============================================================================
-const db = new Database(path.join(__dirname, "database.db"), {
-  fileMustExist: false
-});
+// Top artists for a single genre
+app.get('/api/genres/:genre/artists', async (req, res) => {
+  const genre = req.params.genre.toLowerCase();
+  const market = resolveMarket(req);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  if (!CHART_GENRES.includes(genre)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unknown genre',
+      message: `genre must be one of: ${CHART_GENRES.join(', ')}`,
+    });
+  }
+
+  try {
+    await getChartArtists(market);
+
+    // Empty until a refresh has run for caches written before genre charts existed
+    const genreCharts = getCachedGenres(market) || {};
+    const artists = genreCharts[genre] || [];
+
+    res.json({
+      success: true,
+      genre,
+      market,
+      artists,
+      count: artists.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('✗ Error fetching genre artists:', error);
+    sendSpotifyError(res, error, 'Failed to fetch genre chart from Spotify');
+  }
+});
+
+// Artists the Spotify user follows, one cursor page at a time
+app.get('/api/me/following', requireSpotifyAuth, async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const after = req.query.after || null;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 50' });
+  }
+
+  if (after !== null && !SPOTIFY_ID_PATTERN.test(after)) {
+    return res.status(400).json({ success: false, error: 'Invalid after cursor' });
+  }
+
+  try {
+    const page = await withUserToken(req, (token) => getFollowedArtists(token, limit, after));
+
+    res.json({
+      success: true,
+      artists: page.artists,
+      count: page.artists.length,
+      total: page.total,
+      next: page.next,
+    });
+  } catch (error) {
+    console.error('✗ Error fetching followed artists:', error);
+
+    // Logins from before user-follow-read was requested don't carry the scope
+    if (error instanceof SpotifyApiError && error.status === 403) {
+      return res.status(403).json({
+        success: false,
+        error: 'SPOTIFY_SCOPE_MISSING',
+        message: 'Reconnect your Spotify account to see the artists you follow.',
+      });
+    }
+
+    sendSpotifyError(res, error, 'Failed to fetch followed artists');
+  }
+});
+
+// Taste profile across all three time ranges
+app.get('/api/me/taste', requireSpotifyAuth, async (req, res) => {
+  const limit = req.query.genres === undefined ? 15 : Number(req.query.genres);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ success: false, error: 'genres must be an integer between 1 and 50' });
+  }
+
+  try {
+    const lists = await Promise.all(
+      TIME_RANGES.map((range) => withUserToken(req, (token) => getUserTopArtists(token, 50, range)))
+    );
+
+    const ranges = Object.fromEntries(TIME_RANGES.map((range, index) => [range, tasteProfile(lists[index])]));
+    const shifts = tasteShifts(ranges.long_term, ranges.short_term);
+    for (const profile of Object.values(ranges)) {
+      profile.genres = profile.genres.slice(0, limit);
+    }
+
+    res.json({
+      success: true,
+      ranges,
+      shifts,
+      followerTiers: FOLLOWER_TIERS.map(({ id, label }) => ({ id, label })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('✗ Error building taste profile:', error);
+    sendSpotifyError(res, error, 'Failed to build taste profile');
+  }
+});
+
+// Chart history - most recent snapshots first, optionally for a single artist
+app.get('/api/charts/history', (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  const artistId = req.query.artist;
+  const market = resolveMarket(req);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 100' });
+  }
+
+  if (artistId !== undefined && !SPOTIFY_ID_PATTERN.test(artistId)) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
+
+  const snapshots = getRecentSnapshots.all(market, limit).map((snapshot) => {
+    let entries = getSnapshotEntries.all(snapshot.id);
+    if (artistId) {
+      entries = entries.filter((entry) => entry.artist_id === artistId);
+    }
+    return {
+      id: snapshot.id,
+      market: snapshot.market,
+      taken_at: snapshot.taken_at,
+      entries: entries.map((entry) => ({
+        rank: entry.rank,
+        id: entry.artist_id,
+        name: entry.name,
+        popularity: entry.popularity,
+        followers: entry.followers,
+      })),
+    };
+  });
+
+  res.json({
+    success: true,
+    market,
+    snapshots,
+    count: snapshots.length,
+  });
+});
+
+// New releases from charted artists, newest first
+app.get('/api/releases', (req, res) => {
+  const since = req.query.since || new Date(Date.now() - NEW_RELEASE_WINDOW).toISOString().slice(0, 10);
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!isCalendarDate(since)) {
+    return res.status(400).json({ success: false, error: 'since must be a date in YYYY-MM-DD format' });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 100' });
+  }
+
+  const releases = getReleasesSince.all(since, limit).map(parseReleaseRow);
+
+  res.json({
+    success: true,
+    since,
+    releases,
+    count: releases.length,
+  });
+});
+
+// "Fans also like" - related artists for the details panel
+app.get('/api/artists/:id/related', async (req, res) => {
+  const { id } = req.params;
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+
+  if (!SPOTIFY_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 20' });
+  }
+
+  try {
+    const artists = await cachedArtistDetail(`related:${id}`, id, DETAIL_CACHE_TTL.related, () =>
+      withSpotifyToken(req, (token) => getRelatedArtists(token, id))
+    );
+
+    res.json({
+      success: true,
+      artists: artists.slice(0, limit),
+      count: Math.min(artists.length, limit),
+    });
+  } catch (error) {
+    console.error('✗ Error fetching related artists:', error);
+    sendSpotifyError(res, error, 'Failed to fetch related artists');
+  }
+});
+
+// Album details with the full tracklist
+app.get('/api/albums/:id', async (req, res) => {
+  const { id } = req.params;
+  const market = resolveMarket(req);
+
+  if (!SPOTIFY_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid album ID' });
+  }
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  // Track availability depends on the market, same as top tracks
+  const trackMarket = market === GLOBAL_MARKET ? DEFAULT_TRACK_MARKET : market;
+  const key = `album:${id}:${trackMarket}`;
+
+  try {
+    let details = getCachedDetail(key);
+    if (details === undefined) {
+      details = await withSpotifyToken(req, (token) => getAlbum(token, id, trackMarket));
+      // Filed under the album's main artist so it goes with that artist's other entries
+      setCachedDetail(key, details.album.artists[0]?.id || id, details, DETAIL_CACHE_TTL.album);
+    }
+
+    res.json({
+      success: true,
+      album: details.album,
+      tracks: details.tracks,
+      totalDuration: details.tracks.reduce((sum, track) => sum + (track.duration_ms || 0), 0),
+      market: trackMarket,
+    });
+  } catch (error) {
+    console.error('✗ Error fetching album:', error);
+    sendSpotifyError(res, error, 'Failed to fetch album');
+  }
+});
+
+// Save an artist's top tracks, or the top track of every artist in a chart,
+// as a private playlist in the user's Spotify account
+app.post('/api/playlists', requireSpotifyAuth, async (req, res) => {
+  const { source, artistId, genre = null } = req.body || {};
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : null;
+  const market = resolveMarket(req);
+
+  if (source !== 'artist' && source !== 'chart') {
+    return res.status(400).json({ success: false, error: "source must be 'artist' or 'chart'" });
+  }
+
+  if (source === 'artist' && !SPOTIFY_ID_PATTERN.test(artistId || '')) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
+
+  if (source === 'chart' && genre !== null && !CHART_GENRES.includes(genre)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown genre',
+      message: `genre must be one of: ${CHART_GENRES.join(', ')}`,
+    });
+  }
+
+  if (req.body?.name !== undefined && (!name || name.length > PLAYLIST_NAME_MAX_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: `name must be between 1 and ${PLAYLIST_NAME_MAX_LENGTH} characters`,
+    });
+  }
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  const scopeMissing = () =>
+    res.status(403).json({
+      success: false,
+      error: 'SPOTIFY_SCOPE_MISSING',
+      message: 'Allow playlist access on Spotify to save playlists.',
+      authUrl: '/auth/spotify?playlists=1',
+    });
+
+  if (!hasSpotifyScope(req, PLAYLIST_SCOPE)) {
+    return scopeMissing();
+  }
+
+  const trackMarket = market === GLOBAL_MARKET ? DEFAULT_TRACK_MARKET : market;
+  const topTracksFor = (id) =>
+    cachedArtistDetail(`top-tracks:${id}:${trackMarket}`, id, DETAIL_CACHE_TTL.topTracks, () =>
+      withSpotifyToken(req, (token) => getArtistTopTracks(token, id, trackMarket))
+    );
+
+  try {
+    let trackIds = [];
+    let defaultName;
+    let description;
+
+    if (source === 'artist') {
+      const artist = await cachedArtistDetail(`artist:${artistId}`, artistId, DETAIL_CACHE_TTL.artist, () =>
+        withSpotifyToken(req, async (token) => formatArtist(await fetchSpotifyData(token, `/v1/artists/${artistId}`)))
+      );
+      trackIds = (await topTracksFor(artistId)).map((track) => track.id);
+      defaultName = `${artist.name} — Top Tracks`;
+      description = `The most popular tracks by ${artist.name}, saved from Keep Up With The Music.`;
+    } else {
+      let artists = await getChartArtists(market);
+      if (genre) {
+        artists = (getCachedGenres(market) || {})[genre] || [];
+      }
+
+      for (const artist of artists) {
+        try {
+          const [topTrack] = await topTracksFor(artist.id);
+          if (topTrack) {
+            trackIds.push(topTrack.id);
+          }
+        } catch (error) {
+          // One missing artist shouldn't sink the whole playlist
+          if (!(error instanceof SpotifyApiError)) {
+            throw error;
+          }
+          console.error(`Skipping ${artist.name} in playlist:`, error.message);
+        }
+      }
+
+      const chartName = genre ? `Top ${genre}` : 'Top Artists';
+      defaultName = `${chartName} · ${marketName(market)} · ${new Date().toISOString().slice(0, 10)}`;
+      const chartLabel = genre ? `${marketName(market)} ${genre}` : marketName(market);
+      description = `The top track of every artist in the ${chartLabel} chart, saved from Keep Up With The Music.`;
+    }
+
+    // Collaborations can put the same track at the top for two artists
+    const trackUris = [...new Set(trackIds)].map((id) => `spotify:track:${id}`);
+    if (!trackUris.length) {
+      return res.status(422).json({ success: false, error: 'No tracks available to add to a playlist' });
+    }
+
+    const { playlist, complete } = await createPlaylist(req, name || defaultName, description, trackUris);
+
+    if (!complete) {
+      return res.status(502).json({
+        success: false,
+        error: 'PLAYLIST_INCOMPLETE',
+        message: `The playlist was created, but only ${playlist.trackCount} of ${trackUris.length} tracks could be added.`,
+        playlist,
+      });
+    }
+
+    console.log(`✓ Created playlist "${playlist.name}" with ${playlist.trackCount} tracks`);
+    res.status(201).json({ success: true, playlist });
+  } catch (error) {
+    console.error('✗ Error creating playlist:', error);
+
+    // The session says the scope was granted but the token disagrees
+    if (error instanceof SpotifyApiError && error.status === 403) {
+      return scopeMissing();
+    }
+
+    sendSpotifyError(res, error, 'Failed to create playlist');
+  }
+});
+
+// Atom feed with an entry per chart refresh
+app.get('/feed.xml', (req, res) => {
+  const market = resolveMarket(req);
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!market) {
+    return sendInvalidMarket(res);
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 50' });
+  }
+
+  // One extra snapshot so the oldest entry has something to compare against
+  const recent = getRecentSnapshots.all(market, limit + 1);
+  const entriesById = new Map(recent.map((snapshot) => [snapshot.id, getSnapshotEntries.all(snapshot.id)]));
+  const snapshots = recent.slice(0, limit).map((snapshot, index) => {
+    const entries = entriesById.get(snapshot.id);
+    const previous = recent[index + 1];
+    return {
+      snapshot,
+      entries,
+      changes: describeSnapshot(entries, previous ? entriesById.get(previous.id) : null),
+    };
+  });
+
+  res.type('application/atom+xml; charset=utf-8');
+  res.send(renderChartFeed(market, snapshots, PUBLIC_URL));
+});
+
+// Comments page
+app.get("/comments", (req, res) => {
+  res.sendFile(path.join(__dirname, "public/comments.html"));
+});
+
+// Home page
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "public/index.html"));
+});
+
+// Spotify auth status
+app.get("/api/auth/spotify/status", (req, res) => {
+  res.json({
+    authenticated: !!req.session.spotifyToken,
+    canCreatePlaylists: !!req.session.spotifyToken && hasSpotifyScope(req, PLAYLIST_SCOPE),
+  });
+});
+
+// Check authentication status for comments
+app.get('/api/auth/status', (req, res) => {
+  res.json({
+    authenticated: !!req.session.user,
+    user: req.session.user || null,
+    expiresAt: req.session.cookie ? req.session.cookie.expires : null,
+  });
+});
+
+// ============================================================================
+// SPOTIFY OAUTH
+// ============================================================================
+
+app.get('/auth/spotify', (req, res) => {
+  const state = crypto.randomBytes(16).toString('hex');
+  req.session.oauthState = state;
+
+  const scope = [
+    'user-read-email',
+    'user-read-private',
+    'user-top-read',
+    'user-follow-read',
+  ];
+
+  // Playlist access is opt-in; once granted, keep asking for it on later logins
+  if (req.query.playlists === '1' || hasSpotifyScope(req, PLAYLIST_SCOPE)) {
+    scope.push(PLAYLIST_SCOPE);
+  }
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: CLIENT_ID,
+    scope: scope.join(' '),
+    redirect_uri: REDIRECT_URI,
+    state: state,
+  });
+
+  res.redirect(accountsUrl(`/authorize?${params}`));
+});
+
+app.get('/auth/spotify/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error) {
+    console.error('OAuth error:', error);
+    return res.redirect('/?error=spotify_auth_failed');
+  }
+
+  if (state !== req.session.oauthState) {
+    console.error('State mismatch - possible CSRF attack');
+    return res.redirect('/?error=invalid_state');
+  }
+
+  delete req.session.oauthState;
+
+  try {
+    const tokenData = await requestSpotifyToken(CLIENT_ID, CLIENT_SECRET, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+    }, { retries: 0 });
+
+    req.session.spotifyToken = tokenData.access_token;
+    req.session.refreshToken = tokenData.refresh_token;
+    req.session.tokenExpiry = Date.now() + tokenData.expires_in * 1000;
+    req.session.spotifyScopes = (tokenData.scope || '').split(' ').filter(Boolean);
+    req.session.ua = hashUA(req);
+
+    // The profile only sets the default market, so don't fail the login over it
+    try {
+      const profile = await getUserProfile(tokenData.access_token);
+      req.session.spotifyCountry = profile.country || null;
+      req.session.spotifyUserId = profile.id;
+    } catch (profileError) {
+      console.error('Error fetching Spotify profile:', profileError.message);
+    }
+
+    console.log('✓ User authenticated successfully');
+    res.redirect('/?auth=success');
+  } catch (err) {
+    console.error('✗ OAuth token exchange failed:', err);
+    res.redirect('/?error=token_exchange_failed');
+  }
+});
+
+// ============================================================================
+// Database SQLite
+// ============================================================================
+// DATABASE_PATH lets tests run against a throwaway database, e.g. ':memory:'
+const db = new Database(process.env.DATABASE_PATH || path.join(__dirname, "database.db"), {
+  fileMustExist: false
+});
+
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+
+// CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns added
+// after a table first shipped are added here
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((col) => col.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    console.log(`✓ Added ${table}.${column} column`);
+  }
+}
+
+// USERS TABLE
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    signup_ip TEXT NOT NULL
+  )
+`).run();
+
+// COMMENTS TABLE
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+
+// Comments can belong to an artist's discussion; NULL is the general board
+addColumnIfMissing('comments', 'artist_id', 'TEXT');
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_comments_artist ON comments(artist_id, created_at)
+`).run();
+
+// Threaded replies: a reply points at its parent and records how deep it is.
+// A comment with replies is blanked and marked deleted rather than removed.
+addColumnIfMissing('comments', 'parent_id', 'INTEGER REFERENCES comments(id) ON DELETE CASCADE');
+addColumnIfMissing('comments', 'depth', 'INTEGER NOT NULL DEFAULT 0');
+addColumnIfMissing('comments', 'deleted_at', 'DATETIME');
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id)
+`).run();
+
+// Edit history: the text a comment had before each edit
+addColumnIfMissing('comments', 'edited_at', 'DATETIME');
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS comment_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions(comment_id)
+`).run();
+
+// COMMENT VOTES - one up or down vote per app account per comment
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS comment_votes (
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    value INTEGER NOT NULL CHECK (value IN (-1, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id)
+  )
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_comment_votes_user ON comment_votes(user_id)
+`).run();
+
+// Lets the controversial sort run inside SQL so it can be paged like the others
+db.function('controversy', { deterministic: true }, controversy);
+
+// COMMENT SEARCH - FTS5 index over comment titles and bodies, kept in step
+// with the comments table by triggers. Filled from existing rows on first run.
+const hasCommentSearchIndex = db.prepare(`
+  SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'comments_fts'
+`).get();
+
+db.prepare(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+    title, body, content = 'comments', content_rowid = 'id'
+  )
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS comments_fts_insert AFTER INSERT ON comments BEGIN
+    INSERT INTO comments_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS comments_fts_delete AFTER DELETE ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS comments_fts_update AFTER UPDATE OF title, body ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    INSERT INTO comments_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END
+`).run();
+
+if (!hasCommentSearchIndex) {
+  db.prepare(`INSERT INTO comments_fts (comments_fts) VALUES ('rebuild')`).run();
+}
+
+// FAVORITES - artists an app account has starred for its watchlist
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS favorites (
+    user_id INTEGER NOT NULL,
+    artist_id TEXT NOT NULL,
+    artist_name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, artist_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+
+// CHART SNAPSHOTS - one row per global chart refresh
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS chart_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    market TEXT NOT NULL DEFAULT 'global',
+    taken_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`).run();
+
+// Databases created before per-market charts have no market column
+addColumnIfMissing('chart_snapshots', 'market', "TEXT NOT NULL DEFAULT 'global'");
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_chart_snapshots_market ON chart_snapshots(market, id)
+`).run();
+
+// CHART ENTRIES - each artist's rank in a snapshot
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS chart_entries (
+    snapshot_id INTEGER NOT NULL,
+    artist_id TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    popularity INTEGER,
+    followers INTEGER,
+    PRIMARY KEY (snapshot_id, artist_id),
+    FOREIGN KEY (snapshot_id) REFERENCES chart_snapshots(id) ON DELETE CASCADE
+  )
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_chart_entries_artist ON chart_entries(artist_id)
+`).run();
+
+// RELEASES - albums and singles from charted artists
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS releases (
+    id TEXT PRIMARY KEY,
+    artist_id TEXT NOT NULL,
+    artist_name TEXT NOT NULL,
+    name TEXT NOT NULL,
+    album_type TEXT NOT NULL,
+    release_date TEXT NOT NULL,
+    total_tracks INTEGER,
+    images TEXT NOT NULL DEFAULT '[]',
+    spotify_url TEXT,
+    discovered_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_releases_date ON releases(release_date)
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_releases_artist ON releases(artist_id, release_date)
+`).run();
+
+// Lets release queries compare partial dates like full ones
+db.function('release_date_end', { deterministic: true }, releaseDateEnd);
+
+// RELEASE CHECKS - when each artist's releases were last pulled from Spotify
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS release_checks (
+    artist_id TEXT PRIMARY KEY,
+    checked_at INTEGER NOT NULL
+  )
+`).run();
+
+// ARTIST DETAIL CACHE - persisted copy of the in-memory detail cache
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS artist_detail_cache (
+    key TEXT PRIMARY KEY,
+    artist_id TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )
+`).run();
+
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_artist_detail_cache_artist ON artist_detail_cache(artist_id)
+`).run();
+
+/* Prepared Statements */
+const createUser = db.prepare(`
+  INSERT INTO users (username, password_hash, signup_ip)
+  VALUES (?, ?, ?)
+`);
+
+const getUserByUsername = db.prepare(`
+  SELECT * FROM users WHERE username = ?
+`);
+
+const countUsersByIP = db.prepare(`
+  SELECT COUNT(*) as count FROM users WHERE signup_ip = ?
+`);
+
+const createComment = db.prepare(`
+  INSERT INTO comments (user_id, title, body, artist_id, parent_id, depth)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+// Deleted placeholders keep their place in the thread but not their author
+const COMMENT_COLUMNS = `
+  c.id, c.title, c.body, c.created_at, c.edited_at, c.artist_id, c.parent_id, c.depth,
+  c.deleted_at IS NOT NULL AS deleted,
+  CASE WHEN c.deleted_at IS NULL THEN u.username END AS username,
+  CASE WHEN c.deleted_at IS NULL THEN u.id END AS user_id,
+  COALESCE(v.upvotes, 0) AS upvotes,
+  COALESCE(v.downvotes, 0) AS downvotes,
+  COALESCE(v.upvotes, 0) - COALESCE(v.downvotes, 0) AS score
+`;
+
+const COMMENT_VOTES_JOIN = `
+  LEFT JOIN (
+    SELECT comment_id, SUM(value = 1) AS upvotes, SUM(value = -1) AS downvotes
+    FROM comment_votes
+    GROUP BY comment_id
+  ) v ON v.comment_id = c.id
+`;
+
+// Every sort pages by (sort_key, id) descending, so a `before` cursor works
+// the same way whichever order the list is in. The cursor carries the sort key
+// itself, so paging still works after its comment is deleted or re-voted.
+const COMMENT_SORT_KEYS = {
+  newest: 'c.id',
+  oldest: '-c.id',
+  top: 'COALESCE(v.upvotes, 0) - COALESCE(v.downvotes, 0)',
+  controversial: 'controversy(COALESCE(v.upvotes, 0), COALESCE(v.downvotes, 0))',
+};
+
+// IDs for one page of the comments board or an artist's discussion (artistId
+// null for the board), one statement per sort. Threaded pages list top-level
+// comments only; searches and user filters list every matching comment that
+// hasn't been deleted.
+const getCommentPageIds = Object.fromEntries(
+  Object.entries(COMMENT_SORT_KEYS).map(([sort, sortKey]) => [sort, db.prepare(`
+    WITH ranked AS (
+      SELECT c.id, ${sortKey} AS sort_key
+      FROM comments c
+      JOIN users u ON c.user_id = u.id
+      ${COMMENT_VOTES_JOIN}
+      WHERE c.artist_id IS @artistId
+        AND (@threaded = 0 OR c.parent_id IS NULL)
+        AND (@threaded = 1 OR c.deleted_at IS NULL)
+        AND (@user IS NULL OR u.username = @user)
+        AND (@search IS NULL OR c.id IN (
+          SELECT rowid FROM comments_fts WHERE comments_fts MATCH @search
+        ))
+    )
+    SELECT id, sort_key FROM ranked
+    WHERE @beforeId IS NULL OR (sort_key, id) < (@beforeKey, @beforeId)
+    ORDER BY sort_key DESC, id DESC
+    LIMIT @limit
+  `)])
+);
+
+// The comments with the given IDs and, when withReplies is set, every reply beneath them
+const getCommentsWithReplies = db.prepare(`
+  WITH RECURSIVE thread(id) AS (
+    SELECT value FROM json_each(@ids)
+    UNION
+    SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id WHERE @withReplies = 1
+  )
+  SELECT ${COMMENT_COLUMNS}
+  FROM comments c
+  JOIN users u ON c.user_id = u.id
+  ${COMMENT_VOTES_JOIN}
+  WHERE c.id IN (SELECT id FROM thread)
+`);
+
+const getVotesByUser = db.prepare(`
+  SELECT comment_id, value FROM comment_votes WHERE user_id = ?
+`);
+
+const getCommentScore = db.prepare(`
+  SELECT
+    COALESCE(SUM(value = 1), 0) AS upvotes,
+    COALESCE(SUM(value = -1), 0) AS downvotes
+  FROM comment_votes
+  WHERE comment_id = ?
+`);
+
+const setCommentVote = db.prepare(`
+  INSERT INTO comment_votes (comment_id, user_id, value)
+  VALUES (?, ?, ?)
+  ON CONFLICT(comment_id, user_id) DO UPDATE SET value = excluded.value, created_at = CURRENT_TIMESTAMP
+`);
+
+const removeCommentVote = db.prepare(`
+  DELETE FROM comment_votes WHERE comment_id = ? AND user_id = ?
+`);
+
+const countReplies = db.prepare(`
+  SELECT COUNT(*) as count FROM comments WHERE parent_id = ?
+`);
+
+const softDeleteComment = db.prepare(`
+  UPDATE comments SET title = '', body = '', deleted_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+const countCommentsByUser = db.prepare(`
+  SELECT COUNT(*) as count FROM comments
+  WHERE user_id = ? AND artist_id IS ? AND parent_id IS NULL AND deleted_at IS NULL
+`);
+
+const countRepliesByUser = db.prepare(`
+  SELECT COUNT(*) as count FROM comments
+  WHERE user_id = ? AND artist_id IS ? AND parent_id IS NOT NULL AND deleted_at IS NULL
+`);
+
+const getCommentById = db.prepare(`
+  SELECT * FROM comments WHERE id = ?
+`);
+
+const deleteCommentById = db.prepare(`
+  DELETE FROM comments WHERE id = ?
+`);
+
+const updateComment = db.prepare(`
+  UPDATE comments SET title = ?, body = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+const addCommentRevision = db.prepare(`
+  INSERT INTO comment_revisions (comment_id, title, body) VALUES (?, ?, ?)
+`);
+
+const getCommentRevisions = db.prepare(`
+  SELECT id, title, body, created_at
+  FROM comment_revisions
+  WHERE comment_id = ?
+  ORDER BY id DESC
+`);
+
+const countCommentRevisions = db.prepare(`
+  SELECT COUNT(*) as count FROM comment_revisions WHERE comment_id = ?
+`);
+
+const deleteCommentRevisions = db.prepare(`
+  DELETE FROM comment_revisions WHERE comment_id = ?
+`);
+
+const getFavoritesByUser = db.prepare(`
+  SELECT artist_id, artist_name, created_at FROM favorites
+  WHERE user_id = ?
+  ORDER BY created_at DESC, rowid DESC
+`);
+
+const countFavoritesByUser = db.prepare(`
+  SELECT COUNT(*) as count FROM favorites WHERE user_id = ?
+`);
+
+const hasFavorite = db.prepare(`
+  SELECT 1 FROM favorites WHERE user_id = ? AND artist_id = ?
+`);
+
+const addFavorite = db.prepare(`
+  INSERT OR IGNORE INTO favorites (user_id, artist_id, artist_name)
+  VALUES (?, ?, ?)
+`);
+
+const removeFavorite = db.prepare(`
+  DELETE FROM favorites WHERE user_id = ? AND artist_id = ?
+`);
+
+const createSnapshot = db.prepare(`
+  INSERT INTO chart_snapshots (market) VALUES (?)
+`);
+
+const createChartEntry = db.prepare(`
+  INSERT INTO chart_entries (snapshot_id, artist_id, rank, name, popularity, followers)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+const getLatestSnapshot = db.prepare(`
+  SELECT * FROM chart_snapshots WHERE market = ? ORDER BY id DESC LIMIT 1
+`);
+
+const getRecentSnapshots = db.prepare(`
+  SELECT * FROM chart_snapshots WHERE market = ? ORDER BY id DESC LIMIT ?
+`);
+
+const getSnapshotEntries = db.prepare(`
+  SELECT * FROM chart_entries WHERE snapshot_id = ? ORDER BY rank ASC
+`);
+
+const hasArtistCharted = db.prepare(`
+  SELECT 1 FROM chart_entries e
+  JOIN chart_snapshots s ON e.snapshot_id = s.id
+  WHERE e.artist_id = ? AND s.market = ?
+  LIMIT 1
+`);
+
+const upsertRelease = db.prepare(`
+  INSERT INTO releases (id, artist_id, artist_name, name, album_type, release_date, total_tracks, images, spotify_url)
+  VALUES (@id, @artist_id, @artist_name, @name, @album_type, @release_date, @total_tracks, @images, @spotify_url)
+  ON CONFLICT(id) DO UPDATE SET
+    artist_name = excluded.artist_name,
+    name = excluded.name,
+    total_tracks = excluded.total_tracks,
+    images = excluded.images
+`);
+
+const getReleasesSince = db.prepare(`
+  SELECT * FROM releases
+  WHERE release_date_end(release_date) >= ?
+  ORDER BY release_date_end(release_date) DESC, name ASC
+  LIMIT ?
+`);
+
+const getReleasesByArtist = db.prepare(`
+  SELECT * FROM releases
+  WHERE artist_id = ?
+  ORDER BY release_date_end(release_date) DESC
+  LIMIT ?
+`);
+
+const getReleaseCheck = db.prepare(`
+  SELECT checked_at FROM release_checks WHERE artist_id = ?
+`);
+
+const setReleaseCheck = db.prepare(`
+  INSERT INTO release_checks (artist_id, checked_at) VALUES (?, ?)
+  ON CONFLICT(artist_id) DO UPDATE SET checked_at = excluded.checked_at
+`);
+
+const getDetailCacheRow = db.prepare(`
+  SELECT * FROM artist_detail_cache WHERE key = ?
+`);
+
+const setDetailCacheRow = db.prepare(`
+  INSERT INTO artist_detail_cache (key, artist_id, value, expires_at) VALUES (?, ?, ?, ?)
+  ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+`);
+
+const deleteDetailCacheByArtist = db.prepare(`
+  DELETE FROM artist_detail_cache WHERE artist_id = ?
+`);
+
+const deleteExpiredDetailCache = db.prepare(`
+  DELETE FROM artist_detail_cache WHERE expires_at <= ?
+`);
+
+// ============================================================================
+// Chart History
+// ============================================================================
+
+// Work out how an artist moved compared to the previous snapshot:
+// up/down/same by N places, a brand new entry, or a re-entry after dropping out
+function chartMovement(artistId, rank, previousRanks, market) {
+  if (previousRanks.has(artistId)) {
+    const previousRank = previousRanks.get(artistId);
+    const change = previousRank - rank;
+    return {
+      status: change > 0 ? 'up' : change < 0 ? 'down' : 'same',
+      change: Math.abs(change),
+      previousRank,
+    };
+  }
+
+  return {
+    status: hasArtistCharted.get(artistId, market) ? 're-entry' : 'new',
+    change: null,
+    previousRank: null,
+  };
+}
+
+// Store a chart refresh as a snapshot and return the artists with their movement
+const recordChartSnapshot = db.transaction((artists, market) => {
+  const previous = getLatestSnapshot.get(market);
+  const previousRanks = new Map(
+    previous
+      ? getSnapshotEntries.all(previous.id).map((entry) => [entry.artist_id, entry.rank])
+      : []
+  );
+
+  // Movement must be computed before this snapshot's entries are inserted
+  const rankedArtists = artists.map((artist, index) => ({
+    ...artist,
+    movement: previous ? chartMovement(artist.id, index + 1, previousRanks, market) : null,
+  }));
+
+  const snapshotId = createSnapshot.run(market).lastInsertRowid;
+  rankedArtists.forEach((artist, index) => {
+    createChartEntry.run(
+      snapshotId,
+      artist.id,
+      index + 1,
+      artist.name,
+      artist.popularity,
+      artist.followers
+    );
+  });
+
+  console.log(`✓ Recorded ${market} chart snapshot #${snapshotId} with ${rankedArtists.length} artists`);
+  return rankedArtists;
+});
+
+// ============================================================================
+// Comment threads
+// ============================================================================
+
+// Comments with replies become "[deleted]" placeholders so the thread stays
+// readable. Removing a leaf can leave a placeholder with nothing under it,
+// so those are cleaned up going back up the thread.
+const deleteComment = db.transaction((comment) => {
+  if (countReplies.get(comment.id).count > 0) {
+    // The placeholder shouldn't keep the old text around in its history
+    deleteCommentRevisions.run(comment.id);
+    softDeleteComment.run(comment.id);
+    return;
+  }
+
+  deleteCommentById.run(comment.id);
+
+  let parentId = comment.parent_id;
+  while (parentId) {
+    const parent = getCommentById.get(parentId);
+    if (!parent || !parent.deleted_at || countReplies.get(parent.id).count > 0) {
+      break;
+    }
+    deleteCommentById.run(parent.id);
+    parentId = parent.parent_id;
+  }
+});
+
+// Reddit-style controversy: lots of votes, split close to evenly
+function controversy(upvotes, downvotes) {
+  if (upvotes === 0 || downvotes === 0) {
+    return 0;
+  }
+  const balance = Math.min(upvotes, downvotes) / Math.max(upvotes, downvotes);
+  return (upvotes + downvotes) ** balance;
+}
+
+// Add the signed-in user's vote to each comment in a list
+function withMyVotes(req, comments) {
+  const votes = req.session.user
+    ? new Map(getVotesByUser.all(req.session.user.id).map((vote) => [vote.comment_id, vote.value]))
+    : new Map();
+
+  return comments.map((comment) => ({ ...comment, myVote: votes.get(comment.id) || 0 }));
+}
+
+// Full rows for one page of the board: the page's comments in page order,
+// then their replies. Clients nest replies under their parents themselves.
+function getCommentPage(req, pageIds, threaded) {
+  if (!pageIds.length) {
+    return [];
+  }
+
+  const comments = getCommentsWithReplies.all({
+    ids: JSON.stringify(pageIds),
+    withReplies: threaded ? 1 : 0,
+  });
+
+  const position = new Map(pageIds.map((id, index) => [id, index]));
+  comments.sort((a, b) =>
+    (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity) || a.id - b.id
+  );
+
+  return withMyVotes(req, comments);
+}
+
+// ?sort, ?limit and ?before shared by every paged comment list. Returns
+// { error } when one of them doesn't pass.
+function parseCommentPageQuery(query) {
+  const sort = query.sort || 'newest';
+  const limit = query.limit === undefined ? COMMENTS_PAGE_SIZE : Number(query.limit);
+
+  if (!COMMENT_SORTS.includes(sort)) {
+    return { error: "Invalid sort" };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > COMMENTS_PAGE_MAX) {
+    return { error: `Limit must be between 1 and ${COMMENTS_PAGE_MAX}` };
+  }
+
+  const cursor = typeof query.before === "string" ? parseCommentCursor(query.before) : null;
+  if (query.before !== undefined && !cursor) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { sort, limit, cursor };
+}
+
+// One page of comments and the cursor for the next, or null on the last page
+function readCommentPage(req, { artistId = null, threaded = true, user = null, search = null, sort, limit, cursor }) {
+  // One extra row says whether there is another page
+  const rows = getCommentPageIds[sort].all({
+    artistId,
+    threaded: threaded ? 1 : 0,
+    user,
+    search,
+    beforeKey: cursor ? cursor.key : null,
+    beforeId: cursor ? cursor.id : null,
+    limit: limit + 1,
+  });
+
+  const pageRows = rows.slice(0, limit);
+
+  return {
+    comments: getCommentPage(req, pageRows.map((row) => row.id), threaded),
+    nextBefore: rows.length > limit ? formatCommentCursor(pageRows[pageRows.length - 1]) : null,
+  };
+}
+
+// Turn free text into an FTS5 query where every word has to match, as a
+// prefix so results show up while typing. Quoting each word keeps FTS5
+// operators in the input from being interpreted.
+function toCommentSearchQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map((word) => `"${word}"*`).join(' ') : null;
+}
+
+// Page cursors for /api/comments are "<sort_key>:<id>" of the last top-level
+// comment on the previous page. Returns null when the cursor is malformed.
+function formatCommentCursor(row) {
+  return `${row.sort_key}:${row.id}`;
+}
+
+function parseCommentCursor(cursor) {
+  const separator = cursor.lastIndexOf(':');
+  const keyText = cursor.slice(0, separator);
+  const idText = cursor.slice(separator + 1);
+  const key = Number(keyText);
+  const id = Number(idText);
+
+  if (separator < 1 || !Number.isFinite(key) || !/^\d+$/.test(idText) || id < 1) {
+    return null;
+  }
+  return { key, id };
+}
+
+// Keep the current text as a revision, then replace it
+const editComment = db.transaction((comment, title, body) => {
+  addCommentRevision.run(comment.id, comment.title, comment.body);
+  updateComment.run(title, body, comment.id);
+});
+
+// ============================================================================
+// Artist Detail Cache
+// ============================================================================
+
+// LRU in memory (Map keeps insertion order; a hit re-inserts the key at the
+// end), written through to SQLite so entries survive restarts
+const detailCache = new Map();
+const detailCacheStats = { memoryHits: 0, diskHits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+function rememberDetail(key, entry) {
+  detailCache.delete(key);
+  detailCache.set(key, entry);
+  if (detailCache.size > DETAIL_CACHE_MAX_ENTRIES) {
+    detailCache.delete(detailCache.keys().next().value);
+    detailCacheStats.evictions += 1;
+  }
+}
+
+function getCachedDetail(key) {
+  const entry = detailCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    rememberDetail(key, entry);
+    detailCacheStats.memoryHits += 1;
+    return entry.value;
+  }
+
+  const row = getDetailCacheRow.get(key);
+  if (row && row.expires_at > Date.now()) {
+    const value = JSON.parse(row.value);
+    rememberDetail(key, { artistId: row.artist_id, value, expiresAt: row.expires_at });
+    detailCacheStats.diskHits += 1;
+    return value;
+  }
+
+  detailCache.delete(key);
+  detailCacheStats.misses += 1;
+  return undefined;
+}
+
+function setCachedDetail(key, artistId, value, ttl) {
+  const expiresAt = Date.now() + ttl;
+  rememberDetail(key, { artistId, value, expiresAt });
+  setDetailCacheRow.run(key, artistId, JSON.stringify(value), expiresAt);
+}
+
+// Serve an artist detail from cache, or load and cache it
+async function cachedArtistDetail(key, artistId, ttl, load) {
+  const cached = getCachedDetail(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const value = await load();
+  setCachedDetail(key, artistId, value, ttl);
+  return value;
+}
+
+function invalidateArtistDetails(artistId) {
+  for (const [key, entry] of detailCache) {
+    if (entry.artistId === artistId) {
+      detailCache.delete(key);
+    }
+  }
+  deleteDetailCacheByArtist.run(artistId);
+  detailCacheStats.invalidations += 1;
+}
+
+// A chart refresh carries fresh artist data; drop cached details for any
+// artist whose numbers have moved since they were cached
+function invalidateChangedArtistDetails(artists) {
+  let invalidated = 0;
+
+  for (const artist of artists) {
+    const row = getDetailCacheRow.get(`artist:${artist.id}`);
+    if (!row) {
+      continue;
+    }
+
+    const cached = JSON.parse(row.value);
+    if (
+      cached.popularity !== artist.popularity ||
+      cached.followers !== artist.followers ||
+      cached.name !== artist.name
+    ) {
+      invalidateArtistDetails(artist.id);
+      invalidated += 1;
+    }
+  }
+
+  if (invalidated) {
+    console.log(`✓ Invalidated cached details for ${invalidated} artists`);
+  }
+}
+
+function purgeExpiredArtistDetails() {
+  const { changes } = deleteExpiredDetailCache.run(Date.now());
+  if (changes) {
+    console.log(`✓ Purged ${changes} expired artist detail cache entries`);
+  }
+}
 
-db.pragma("journal_mode = WAL");
-db.pragma("foreign_keys = ON");
+function getDetailCacheStats() {
+  const lookups = detailCacheStats.memoryHits + detailCacheStats.diskHits + detailCacheStats.misses;
+  return {
+    entries: detailCache.size,
+    ...detailCacheStats,
+    hitRate: lookups ? Number(((lookups - detailCacheStats.misses) / lookups).toFixed(3)) : null,
+  };
+}
 
-// USERS TABLE
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    signup_ip TEXT NOT NULL
-  )
-`).run();
+// ============================================================================
+// Release Tracker
+// ============================================================================
 
-// COMMENTS TABLE
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    title TEXT NOT NULL,
-    body TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  )
-`).run();
+let releaseRefreshInProgress = false;
+
+function parseReleaseRow(row) {
+  return {
+    id: row.id,
+    artist_id: row.artist_id,
+    artist_name: row.artist_name,
+    name: row.name,
+    album_type: row.album_type,
+    release_date: row.release_date,
+    total_tracks: row.total_tracks,
+    images: JSON.parse(row.images),
+    spotify_url: row.spotify_url,
+  };
+}
 
-/* Prepared Statements */
-const createUser = db.prepare(`
-  INSERT INTO users (username, password_hash, signup_ip)
-  VALUES (?, ?, ?)
-`);
+const saveArtistReleases = db.transaction((artistId, releases, checkedAt) => {
+  releases.forEach((release) => {
+    upsertRelease.run({ ...release, images: JSON.stringify(release.images) });
+  });
+  setReleaseCheck.run(artistId, checkedAt);
+});
 
-const getUserByUsername = db.prepare(`
-  SELECT * FROM users WHERE username = ?
-`);
+// Whether an artist last checked at checkedAt (or never) should be checked in a run starting at now
+function isReleaseCheckDue(checkedAt, now) {
+  return checkedAt === undefined || now - checkedAt >= RELEASE_REFRESH_INTERVAL - RELEASE_REFRESH_SLACK;
+}
 
-const countUsersByIP = db.prepare(`
-  SELECT COUNT(*) as count FROM users WHERE signup_ip = ?
-`);
+// Pull recent releases for every charted artist that hasn't been checked lately.
+// Every artist in a run is stamped with the time the run started, however
+// long the run takes, so they're all due again on the next timer tick.
+async function refreshReleases() {
+  if (releaseRefreshInProgress) {
+    return;
+  }
 
-const createComment = db.prepare(`
-  INSERT INTO comments (user_id, title, body)
-  VALUES (?, ?, ?)
-`);
+  const startedAt = Date.now();
+  const artists = getCachedArtists() || [];
+  const due = artists.filter((artist) => isReleaseCheckDue(getReleaseCheck.get(artist.id)?.checked_at, startedAt));
 
-const getAllComments = db.prepare(`
-  SELECT c.id, c.title, c.body, c.created_at, u.username, u.id as user_id
-  FROM comments c
-  JOIN users u ON c.user_id = u.id
-  ORDER BY c.created_at DESC
-`);
+  if (!due.length) {
+    return;
+  }
 
-const countCommentsByUser = db.prepare(`
-  SELECT COUNT(*) as count FROM comments WHERE user_id = ?
-`);
+  releaseRefreshInProgress = true;
+  try {
+    console.log(`🔄 Checking ${due.length} artists for new releases...`);
+    const accessToken = await getSpotifyAccessToken();
+    let saved = 0;
 
-const getCommentById = db.prepare(`
-  SELECT * FROM comments WHERE id = ?
-`);
+    for (const artist of due) {
+      try {
+        const releases = await getArtistReleases(accessToken, artist);
+        saveArtistReleases(artist.id, releases, startedAt);
+        saved += releases.length;
+      } catch (error) {
+        // Stop early while Spotify is down; the rest are picked up next run
+        if (error instanceof SpotifyUnavailableError) {
+          throw error;
+        }
+        console.error(`Error fetching releases for ${artist.name}:`, error.message);
+      }
+    }
 
-const deleteCommentById = db.prepare(`
-  DELETE FROM comments WHERE id = ?
-`);
+    console.log(`✓ Release check complete: ${saved} releases stored`);
+  } finally {
+    releaseRefreshInProgress = false;
+  }
+}
 
 // ============================================================================
 // Auth API Endpoints - WITH RATE LIMITING
@@ -891,9 +3374,7 @@ app.post("/api/auth/login", authLimiter, async (req, res) => {
 
 /* LOGOUT - Spotify */
 app.post('/api/auth/spotify/logout', (req, res) => {
-  delete req.session.spotifyToken;
-  delete req.session.refreshToken;
-  delete req.session.tokenExpiry;
+  clearSpotifySession(req);
   res.json({ success: true });
 });
 
@@ -903,36 +3384,252 @@ app.post('/api/auth/logout', (req, res) => {
   res.json({ success: true });
 });
 
-/* READ COMMENTS (public) */
+/* READ COMMENTS (public) - one page at a time, ?sort=newest|oldest|top|controversial.
+   ?before=<cursor> continues from the previous page's nextBefore;
+   ?search= and ?user= list matching comments, replies included, without threads. */
 app.get("/api/comments", (req, res) => {
-  res.json(getAllComments.all());
-});
+  const { search = '', user = '' } = req.query;
 
-/* CREATE COMMENT (auth required) */
-app.post("/api/comments", requireAuth, (req, res) => {
-  const { title, body } = req.body;
-  const userId = req.session.user.id;
+  const page = parseCommentPageQuery(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  if (typeof search !== "string" || search.length > COMMENT_SEARCH_MAX_LENGTH) {
+    return res.status(400).json({ error: "Invalid search" });
+  }
+
+  if (typeof user !== "string") {
+    return res.status(400).json({ error: "Invalid user" });
+  }
 
+  const searchQuery = search.trim() ? toCommentSearchQuery(search) : null;
+  if (search.trim() && !searchQuery) {
+    // Nothing searchable in it, e.g. only punctuation
+    return res.json({ comments: [], nextBefore: null });
+  }
+
+  const username = user.trim().toLowerCase() || null;
+
+  res.json(readCommentPage(req, {
+    threaded: !searchQuery && !username,
+    user: username,
+    search: searchQuery,
+    ...page,
+  }));
+});
+
+// Length-check and strip HTML from a comment's title and body, shared by
+// posting and editing. Returns null when the text doesn't pass.
+function cleanCommentText(title, body, { requireTitle = true } = {}) {
   if (
     typeof title !== "string" ||
     typeof body !== "string" ||
     title.length > 128 ||
     body.length > 4000 ||
-    !title.trim() ||
+    (requireTitle && !title.trim()) ||
     !body.trim()
   ) {
+    return null;
+  }
+
+  return {
+    title: sanitizeHtml(title.trim(), { allowedTags: [], allowedAttributes: {} }),
+    body: sanitizeHtml(body.trim(), { allowedTags: [], allowedAttributes: {} }),
+  };
+}
+
+// Validate, sanitize and store a comment for the signed-in user. artistId is
+// null for the general comments board; replies pass their parent, and don't
+// need a title.
+function postComment(req, res, { artistId = null, parent = null } = {}) {
+  // No JSON body leaves req.body unset; that fails validation below as a 400
+  const fields = req.body ?? {};
+  const title = parent && fields.title === undefined ? "" : fields.title;
+  const userId = req.session.user.id;
+
+  const text = cleanCommentText(title, fields.body, { requireTitle: !parent });
+  if (!text) {
+    return res.status(400).json({ error: "Invalid comment length" });
+  }
+
+  // Replies join the parent's discussion, and count against that one
+  const threadArtistId = parent ? parent.artist_id : artistId;
+
+  if (parent) {
+    if (countRepliesByUser.get(userId, threadArtistId).count >= MAX_REPLIES_PER_USER) {
+      return res.status(403).json({
+        error: `Reply limit reached: you can have up to ${MAX_REPLIES_PER_USER} replies in this discussion`
+      });
+    }
+  } else if (countCommentsByUser.get(userId, threadArtistId).count >= MAX_COMMENTS_PER_USER) {
+    return res.status(403).json({
+      error: `Comment limit reached: you can have up to ${MAX_COMMENTS_PER_USER} comments in this discussion`
+    });
+  }
+
+  const result = createComment.run(
+    userId,
+    text.title,
+    text.body,
+    threadArtistId,
+    parent ? parent.id : null,
+    parent ? parent.depth + 1 : 0
+  );
+  res.status(201).json({ success: true, id: result.lastInsertRowid });
+}
+
+/* CREATE COMMENT (auth required) */
+app.post("/api/comments", requireAuth, (req, res) => {
+  postComment(req, res);
+});
+
+/* REPLY TO A COMMENT (auth required) - replies join the parent's board or artist discussion */
+app.post("/api/comments/:id/replies", requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: "Invalid comment ID" });
+  }
+
+  const parent = getCommentById.get(id);
+  if (!parent || parent.deleted_at) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  if (parent.depth >= MAX_COMMENT_DEPTH) {
+    return res.status(400).json({ error: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep` });
+  }
+
+  postComment(req, res, { parent });
+});
+
+/* READ ARTIST DISCUSSION (public) - paged like /api/comments, with ?sort, ?limit and ?before */
+app.get("/api/artists/:id/comments", (req, res) => {
+  if (!SPOTIFY_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: "Invalid artist ID" });
+  }
+
+  const page = parseCommentPageQuery(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  res.json(readCommentPage(req, { artistId: req.params.id, ...page }));
+});
+
+/* POST TO ARTIST DISCUSSION (auth required) */
+app.post("/api/artists/:id/comments", requireAuth, (req, res) => {
+  if (!SPOTIFY_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: "Invalid artist ID" });
+  }
+
+  postComment(req, res, { artistId: req.params.id });
+});
+
+/* EDIT COMMENT (owner only) - the previous text is kept as a revision */
+app.patch("/api/comments/:id", requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: "Invalid comment ID" });
+  }
+
+  const comment = getCommentById.get(id);
+  if (!comment || comment.deleted_at) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  if (comment.user_id !== req.session.user.id) {
+    return res.status(403).json({ error: "Not your comment" });
+  }
+
+  // Leaving the title out keeps the current one; a missing body fails validation
+  const fields = req.body ?? {};
+  const title = fields.title === undefined ? comment.title : fields.title;
+  const text = cleanCommentText(title, fields.body, { requireTitle: !comment.parent_id });
+  if (!text) {
     return res.status(400).json({ error: "Invalid comment length" });
   }
 
-  if (countCommentsByUser.get(userId).count >= 5) {
-    return res.status(403).json({ error: "Comment limit reached" });
+  if (text.title === comment.title && text.body === comment.body) {
+    return res.json({ success: true, edited: false });
+  }
+
+  if (countCommentRevisions.get(id).count >= MAX_COMMENT_REVISIONS) {
+    return res.status(403).json({ error: "Edit limit reached" });
+  }
+
+  editComment(comment, text.title, text.body);
+  res.json({ success: true, edited: true });
+});
+
+/* COMMENT EDIT HISTORY (public) - previous versions, newest first */
+app.get("/api/comments/:id/revisions", (req, res) => {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: "Invalid comment ID" });
+  }
+
+  const comment = getCommentById.get(id);
+  if (!comment || comment.deleted_at) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  res.json(getCommentRevisions.all(id));
+});
+
+// Shared checks for voting routes: the comment must exist and belong to
+// someone else. Sends the error response and returns null on failure.
+function getVotableComment(req, res) {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: "Invalid comment ID" });
+    return null;
+  }
+
+  const comment = getCommentById.get(id);
+  if (!comment || comment.deleted_at) {
+    res.status(404).json({ error: "Comment not found" });
+    return null;
+  }
+
+  if (comment.user_id === req.session.user.id) {
+    res.status(403).json({ error: "You can't vote on your own comment" });
+    return null;
+  }
+
+  return comment;
+}
+
+function sendCommentScore(res, commentId, myVote) {
+  const { upvotes, downvotes } = getCommentScore.get(commentId);
+  res.json({ success: true, upvotes, downvotes, score: upvotes - downvotes, myVote });
+}
+
+/* VOTE ON COMMENT (auth required) - body { value: 1 | -1 }, replaces any earlier vote */
+app.post("/api/comments/:id/vote", requireAuth, voteLimiter, (req, res) => {
+  const comment = getVotableComment(req, res);
+  if (!comment) return;
+
+  const { value } = req.body ?? {};
+  if (value !== 1 && value !== -1) {
+    return res.status(400).json({ error: "Invalid vote" });
   }
 
-  const cleanTitle = sanitizeHtml(title.trim(), { allowedTags: [], allowedAttributes: {} });
-  const cleanBody = sanitizeHtml(body.trim(), { allowedTags: [], allowedAttributes: {} });
+  setCommentVote.run(comment.id, req.session.user.id, value);
+  sendCommentScore(res, comment.id, value);
+});
+
+/* REMOVE VOTE (auth required) */
+app.delete("/api/comments/:id/vote", requireAuth, voteLimiter, (req, res) => {
+  const comment = getVotableComment(req, res);
+  if (!comment) return;
 
-  createComment.run(userId, cleanTitle, cleanBody);
-  res.status(201).json({ success: true });
+  removeCommentVote.run(comment.id, req.session.user.id);
+  sendCommentScore(res, comment.id, 0);
 });
 
 /* DELETE COMMENT (owner only) - IMPROVED: Added ID validation */
@@ -946,7 +3643,7 @@ app.delete("/api/comments/:id", requireAuth, (req, res) => {
   }
 
   const comment = getCommentById.get(id);
-  if (!comment) {
+  if (!comment || comment.deleted_at) {
     return res.status(404).json({ error: "Comment not found" });
   }
 
@@ -954,7 +3651,105 @@ app.delete("/api/comments/:id", requireAuth, (req, res) => {
     return res.status(403).json({ error: "Not your comment" });
   }
 
-  deleteCommentById.run(id);
+  deleteComment(comment);
+  res.json({ success: true });
+});
+
+// ============================================================================
+// FAVORITES
+// ============================================================================
+
+// Current artist data for a list of IDs: cached entries where we have them,
+// one batched Spotify lookup for the rest
+async function getArtistsById(req, artistIds) {
+  const artists = new Map();
+  const missing = [];
+
+  for (const id of artistIds) {
+    const cached = getCachedDetail(`artist:${id}`);
+    if (cached !== undefined) {
+      artists.set(id, cached);
+    } else {
+      missing.push(id);
+    }
+  }
+
+  if (missing.length) {
+    const fetched = await withSpotifyToken(req, (token) => getMultipleArtists(token, missing));
+    for (const artist of fetched.map(formatArtist)) {
+      setCachedDetail(`artist:${artist.id}`, artist.id, artist, DETAIL_CACHE_TTL.artist);
+      artists.set(artist.id, artist);
+    }
+  }
+
+  return artistIds.map((id) => artists.get(id)).filter(Boolean);
+}
+
+/* LIST FAVORITES - just the starred IDs and names, no Spotify calls */
+app.get('/api/favorites', requireAuth, (req, res) => {
+  const favorites = getFavoritesByUser.all(req.session.user.id);
+  res.json({ success: true, favorites, count: favorites.length });
+});
+
+/* WATCHLIST - favorites with fresh artist data, newest first */
+app.get('/api/favorites/artists', requireAuth, async (req, res) => {
+  const favorites = getFavoritesByUser.all(req.session.user.id);
+
+  try {
+    const artists = await getArtistsById(req, favorites.map((favorite) => favorite.artist_id));
+    res.json({ success: true, artists, count: artists.length });
+  } catch (error) {
+    console.error('✗ Error loading watchlist:', error);
+    sendSpotifyError(res, error, 'Failed to load watchlist');
+  }
+});
+
+/* ADD FAVORITE */
+app.post('/api/favorites', requireAuth, async (req, res) => {
+  const artistId = req.body?.artistId;
+  const userId = req.session.user.id;
+
+  if (typeof artistId !== 'string' || !SPOTIFY_ID_PATTERN.test(artistId)) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
+
+  // Starring an artist twice is fine, even with a full watchlist
+  if (hasFavorite.get(userId, artistId)) {
+    return res.json({ success: true, artistId });
+  }
+
+  if (countFavoritesByUser.get(userId).count >= FAVORITES_MAX) {
+    return res.status(403).json({ success: false, error: `Watchlist is limited to ${FAVORITES_MAX} artists` });
+  }
+
+  try {
+    // Also confirms the artist exists before it's stored
+    const [artist] = await getArtistsById(req, [artistId]);
+    if (!artist) {
+      return res.status(404).json({ success: false, error: 'Artist not found' });
+    }
+
+    const { changes } = addFavorite.run(userId, artist.id, artist.name);
+    res.status(changes ? 201 : 200).json({ success: true, artistId: artist.id });
+  } catch (error) {
+    console.error('✗ Error adding favorite:', error);
+    sendSpotifyError(res, error, 'Failed to add favorite');
+  }
+});
+
+/* REMOVE FAVORITE */
+app.delete('/api/favorites/:artistId', requireAuth, (req, res) => {
+  const { artistId } = req.params;
+
+  if (!SPOTIFY_ID_PATTERN.test(artistId)) {
+    return res.status(400).json({ success: false, error: 'Invalid artist ID' });
+  }
+
+  const { changes } = removeFavorite.run(req.session.user.id, artistId);
+  if (!changes) {
+    return res.status(404).json({ success: false, error: 'Artist is not in your favorites' });
+  }
+
   res.json({ success: true });
 });
 
@@ -975,47 +3770,105 @@ app.use((req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Global error handler - registered after every route so errors thrown in any
+// of them end up here instead of in Express's default HTML handler
+app.use((err, req, res, next) => {
+  console.error('✗ Server error:', err.stack);
+  res.status(500).json({
+    error: 'Something went wrong!',
+    message: isDev ? err.message : undefined,
+  });
+});
+
 // ============================================================================
 // STARTUP
 // ============================================================================
 
-console.log('🚀 Initializing server...');
+// Tests import this file for its helpers; only `node server.js` starts the server
+const isEntryPoint = process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
-if (isCacheValid()) {
-  console.log('✓ Cache is valid, skipping initial refresh');
-} else {
-  console.log('⚠️  Cache is expired or missing, fetching fresh data...');
-  refreshCache().catch((err) => {
-    console.error('✗ Failed to initialize cache on startup:', err.message);
-  });
-}
+function startServer() {
+  console.log('🚀 Initializing server...');
 
-// Periodic cache refresh
-setInterval(() => {
-  if (!isCacheValid()) {
-    console.log('🔄 Periodic cache refresh triggered');
-    refreshCache().catch((err) => {
-      console.error('✗ Periodic cache refresh failed:', err);
+  loadChartCaches();
+  purgeExpiredArtistDetails();
+
+  if (isCacheValid()) {
+    console.log('✓ Cache is valid, skipping initial refresh');
+    refreshReleases().catch((err) => {
+      console.error('✗ Failed to check for new releases on startup:', err.message);
     });
+  } else {
+    console.log('⚠️  Cache is expired or missing, fetching fresh data...');
+    refreshCache()
+      .then(() => refreshReleases())
+      .catch((err) => {
+        console.error('✗ Failed to initialize cache on startup:', err.message);
+      });
   }
-}, CACHE_DURATION);
 
-// Start server
-if (isDev) {
-  const sslOptions = {
-    key: fs.readFileSync('./localhost-key.pem'),
-    cert: fs.readFileSync('./localhost.pem'),
-  };
+  // Periodic cache refresh
+  setInterval(async () => {
+    for (const market of [...chartCache.keys()]) {
+      if (!isCacheValid(market)) {
+        console.log(`🔄 Periodic ${market} cache refresh triggered`);
+        try {
+          await refreshCache(market);
+        } catch (err) {
+          console.error(`✗ Periodic ${market} cache refresh failed:`, err);
+        }
+      }
+    }
+  }, CACHE_DURATION);
+
+  // Periodic cleanup of expired artist details
+  setInterval(purgeExpiredArtistDetails, DETAIL_CACHE_TTL.topTracks);
+
+  // Periodic new release check
+  setInterval(() => {
+    refreshReleases().catch((err) => {
+      console.error('✗ Periodic release check failed:', err);
+    });
+  }, RELEASE_REFRESH_INTERVAL);
 
-  https.createServer(sslOptions, app).listen(PORT, () => {
-    console.log(`✓ HTTPS dev server running at https://localhost:${PORT}`);
-    console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
+  // Start server
+  if (isDev) {
+    const sslOptions = {
+      key: fs.readFileSync('./localhost-key.pem'),
+      cert: fs.readFileSync('./localhost.pem'),
+    };
+
+    https.createServer(sslOptions, app).listen(PORT, () => {
+      console.log(`✓ HTTPS dev server running at https://localhost:${PORT}`);
+      console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
     
-  });
-} else {
-  http.createServer(app).listen(PORT, () => {
-    console.log(`✓ HTTP server running at http://localhost:${PORT}`);
-    console.log(`✓ Environment: ${process.env.NODE_ENV || 'production'}`);
+    });
+  } else {
+    http.createServer(app).listen(PORT, () => {
+      console.log(`✓ HTTP server running at http://localhost:${PORT}`);
+      console.log(`✓ Environment: ${process.env.NODE_ENV || 'production'}`);
    
-  });
-}
\ No newline at end of file
+    });
+  }
+}
+
+if (isEntryPoint) {
+  startServer();
+}
+
+// Helpers covered by the test suite in test/
+export {
+  app,
+  db,
+  releaseDateEnd,
+  isReleaseCheckDue,
+  getReleasesSince,
+  upsertRelease,
+  isCalendarDate,
+  getArtistReleases,
+  parseArtistListQuery,
+  deleteComment,
+  getCommentById,
+  controversy,
+  toCommentSearchQuery,
+};
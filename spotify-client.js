@@ -0,0 +1,303 @@
+// spotify-client.js - Shared HTTP client for the Spotify Web API and Accounts service
+//
+// Every outbound call to Spotify goes through spotifyRequest(), which adds
+// per-request timeouts, exponential back-off (honoring Retry-After on 429),
+// and a circuit breaker that stops calling Spotify after repeated failures.
+// Failures surface as typed errors so routes can answer with 502/503/504.
+//
+// SPOTIFY_API_URL and SPOTIFY_ACCOUNTS_URL point the client somewhere other
+// than Spotify, e.g. the local stand-in the tests use (test/spotify-stand-in.js).
+
+import http from 'http';
+import https from 'https';
+
+export const API_URL = new URL(process.env.SPOTIFY_API_URL || 'https://api.spotify.com');
+export const ACCOUNTS_URL = new URL(process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com');
+
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds per attempt
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 500; // first retry after ~0.5s, doubling each time
+const MAX_BACKOFF = 30 * 1000; // never wait longer than this between attempts
+
+const BREAKER_THRESHOLD = 5; // consecutive failures before the circuit opens
+const BREAKER_COOLDOWN = 60 * 1000; // how long to stop calling Spotify
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export class SpotifyError extends Error {
+  constructor(message, { status = null, body = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Spotify answered with a non-2xx status we don't retry (or ran out of retries on)
+export class SpotifyApiError extends SpotifyError {}
+
+// Still rate limited after all retries, or Retry-After is too long to wait for
+export class SpotifyRateLimitError extends SpotifyError {}
+
+// An attempt took longer than REQUEST_TIMEOUT
+export class SpotifyTimeoutError extends SpotifyError {}
+
+// Network failure, or the circuit breaker is open
+export class SpotifyUnavailableError extends SpotifyError {}
+
+// Map a Spotify error to the HTTP status our own API should respond with
+export function httpStatusForError(error) {
+  if (error instanceof SpotifyTimeoutError) return 504;
+  if (error instanceof SpotifyRateLimitError) return 503;
+  if (error instanceof SpotifyUnavailableError) return 503;
+  if (error instanceof SpotifyApiError) {
+    if (error.status === 400) return 400;
+    if (error.status === 404) return 404;
+    return 502;
+  }
+  return 500;
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+const breaker = {
+  failures: 0,
+  openedAt: null,
+};
+
+function isCircuitOpen() {
+  if (breaker.openedAt === null) {
+    return false;
+  }
+  // After the cooldown, let requests through again (half-open). The next
+  // failure re-opens the circuit immediately since failures stays at threshold.
+  return Date.now() - breaker.openedAt < BREAKER_COOLDOWN;
+}
+
+function recordSuccess() {
+  if (breaker.openedAt !== null) {
+    console.log('✓ Spotify circuit closed');
+  }
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function recordFailure() {
+  breaker.failures += 1;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.openedAt === null || !isCircuitOpen()) {
+      console.warn(`⚠️  Spotify circuit opened after ${breaker.failures} consecutive failures`);
+    }
+    breaker.openedAt = Date.now();
+  }
+}
+
+export function getCircuitState() {
+  const open = isCircuitOpen();
+  return {
+    state: open ? 'open' : breaker.failures >= BREAKER_THRESHOLD ? 'half-open' : 'closed',
+    consecutiveFailures: breaker.failures,
+    retryInSeconds: open
+      ? Math.ceil((BREAKER_COOLDOWN - (Date.now() - breaker.openedAt)) / 1000)
+      : null,
+  };
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** attempt);
+  return delay + Math.floor(Math.random() * BASE_BACKOFF);
+}
+
+function parseRetryAfter(header) {
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+// 429s, 5xx responses, timeouts and network errors are worth another attempt
+function isRetryable(error) {
+  if (error instanceof SpotifyTimeoutError || error instanceof SpotifyUnavailableError) {
+    return true;
+  }
+  return error instanceof SpotifyRateLimitError || (error.status !== null && error.status >= 500);
+}
+
+// Append a path to a base URL, keeping any path the base URL already has
+function pathOn(baseUrl, path) {
+  return baseUrl.pathname.replace(/\/$/, '') + path;
+}
+
+// Full URL of a page on the Accounts service, e.g. '/authorize?...' for the login redirect
+export function accountsUrl(path) {
+  return ACCOUNTS_URL.origin + pathOn(ACCOUNTS_URL, path);
+}
+
+function sendOnce({ baseUrl, path, method, headers, body, timeout }) {
+  const transport = baseUrl.protocol === 'http:' ? http : https;
+  const options = {
+    hostname: baseUrl.hostname,
+    port: baseUrl.port || undefined,
+    path: pathOn(baseUrl, path),
+    method,
+    headers,
+  };
+
+  return new Promise((resolvePromise, rejectPromise) => {
+    let deadline;
+    const resolve = (value) => {
+      clearTimeout(deadline);
+      resolvePromise(value);
+    };
+    const reject = (error) => {
+      clearTimeout(deadline);
+      rejectPromise(error);
+    };
+
+    const req = transport.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(data ? JSON.parse(data) : null);
+          } catch {
+            reject(new SpotifyApiError(`Invalid JSON from Spotify ${path}`, { status: res.statusCode }));
+          }
+          return;
+        }
+
+        const message = `Spotify ${method} ${path} failed: ${res.statusCode}`;
+        if (res.statusCode === 429) {
+          reject(new SpotifyRateLimitError(message, {
+            status: 429,
+            body: data,
+            retryAfter: parseRetryAfter(res.headers['retry-after']),
+          }));
+        } else {
+          reject(new SpotifyApiError(message, { status: res.statusCode, body: data }));
+        }
+      });
+    });
+
+    // A deadline for the whole attempt rather than req.setTimeout(), which
+    // only fires when the socket goes idle and never for a trickling response
+    deadline = setTimeout(() => {
+      const error = new SpotifyTimeoutError(`Spotify ${method} ${path} timed out after ${timeout}ms`);
+      reject(error);
+      req.destroy(error);
+    }, timeout);
+
+    req.on('error', (error) => {
+      if (error instanceof SpotifyError) {
+        reject(error);
+      } else {
+        reject(new SpotifyUnavailableError(`Spotify ${method} ${path} failed: ${error.message}`));
+      }
+    });
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+export async function spotifyRequest({
+  baseUrl = API_URL,
+  path,
+  method = 'GET',
+  headers = {},
+  body = null,
+  timeout = REQUEST_TIMEOUT,
+  retries = MAX_RETRIES,
+}) {
+  if (isCircuitOpen()) {
+    const { retryInSeconds } = getCircuitState();
+    throw new SpotifyUnavailableError('Spotify circuit is open, not sending request', {
+      retryAfter: retryInSeconds,
+    });
+  }
+
+  if (body) {
+    headers = { ...headers, 'Content-Length': Buffer.byteLength(body) };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await sendOnce({ baseUrl, path, method, headers, body, timeout });
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // Spotify answered, so it is up - a 4xx says nothing about its health
+        recordSuccess();
+        throw error;
+      }
+
+      let delay = backoffDelay(attempt);
+      if (error instanceof SpotifyRateLimitError && error.retryAfter !== null) {
+        delay = error.retryAfter * 1000;
+      }
+
+      if (attempt >= retries || delay > MAX_BACKOFF) {
+        recordFailure();
+        throw error;
+      }
+
+      console.warn(`⚠️  ${error.message} - retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// GET (or other method) against the Web API with a bearer token. Pass
+// retries: 0 for requests that must not be repeated, like creating a playlist.
+export function fetchSpotifyData(accessToken, path, { method = 'GET', body = null, retries = MAX_RETRIES } = {}) {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return spotifyRequest({
+    path,
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : null,
+    retries,
+  });
+}
+
+// POST to the Accounts service token endpoint (client credentials, code exchange, refresh).
+// Authorization codes are single-use: pass retries: 0 when exchanging one, since
+// a retry after a lost response always fails with invalid_grant.
+export function requestSpotifyToken(clientId, clientSecret, params, { retries = MAX_RETRIES } = {}) {
+  const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  return spotifyRequest({
+    baseUrl: ACCOUNTS_URL,
+    path: '/api/token',
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${auth}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams(params).toString(),
+    retries,
+  });
+}
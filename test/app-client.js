@@ -0,0 +1,42 @@
+// app-client.js - Serves the Express app on a random local port and sends
+// requests to it with a cookie jar, so a test can act as one signed-in browser.
+// Requests claim to have come through an HTTPS proxy, since the app trusts
+// one on localhost and redirects plain HTTP.
+
+import http from 'http';
+
+export async function startAppClient(app) {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const cookies = new Map();
+
+  async function request(path, { method = 'GET', body } = {}) {
+    const headers = {
+      Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; '),
+      'X-Forwarded-Proto': 'https',
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual',
+    });
+
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    }
+    return response;
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { server } from './load-server.js';
+
+const { parseArtistListQuery } = server;
+
+test('parseArtistListQuery fills in defaults', () => {
+  assert.deepEqual(parseArtistListQuery({}), {
+    sort: 'rank',
+    genre: '',
+    minPopularity: 0,
+    limit: 50,
+    offset: 0,
+  });
+});
+
+test('parseArtistListQuery normalizes valid input', () => {
+  assert.deepEqual(
+    parseArtistListQuery({ sort: 'popularity', genre: ' Indie Rock ', minPopularity: '40', limit: '10', offset: '20' }),
+    { sort: 'popularity', genre: 'indie rock', minPopularity: 40, limit: 10, offset: 20 }
+  );
+});
+
+test('parseArtistListQuery rejects out of range values', () => {
+  for (const query of [
+    { sort: 'nonsense' },
+    { genre: 'x'.repeat(41) },
+    { minPopularity: '101' },
+    { minPopularity: '-1' },
+    { limit: '0' },
+    { limit: '51' },
+    { limit: '2.5' },
+    { offset: '-1' },
+    { offset: 'abc' },
+  ]) {
+    assert.ok(parseArtistListQuery(query).error, JSON.stringify(query));
+  }
+});
@@ -0,0 +1,237 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { server } from './load-server.js';
+import { startAppClient } from './app-client.js';
+
+const { deleteComment, getCommentById, controversy, toCommentSearchQuery } = server;
+
+let client;
+
+before(async () => {
+  client = await startAppClient(server.app);
+  const response = await client.request('/api/auth/register', {
+    method: 'POST',
+    body: { username: 'commenter', password: 'password123' },
+  });
+  assert.equal(response.status, 201);
+});
+
+after(() => client.close());
+
+async function post(path, body, as = client) {
+  const response = await as.request(path, { method: 'POST', body });
+  return { status: response.status, data: await response.json() };
+}
+
+// Follow nextBefore until the last page, returning the comment IDs in order
+async function readAllPages(query, path = '/api/comments') {
+  const ids = [];
+  let before = null;
+  do {
+    const params = new URLSearchParams({ ...query, limit: '2' });
+    if (before) params.set('before', before);
+    const response = await client.request(`${path}?${params}`);
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    ids.push(...data.comments.filter((comment) => !comment.parent_id).map((comment) => comment.id));
+    before = data.nextBefore;
+  } while (before);
+  return ids;
+}
+
+async function postComment(n) {
+  const { status, data } = await post('/api/comments', { title: `Comment ${n}`, body: 'Body' });
+  assert.equal(status, 201);
+  return data.id;
+}
+
+test('replies do not count towards the comment limit', async () => {
+  const ids = [];
+  for (let n = 1; n <= 5; n++) {
+    ids.push(await postComment(n));
+  }
+
+  const extra = await post('/api/comments', { title: 'One more', body: 'Body' });
+  assert.equal(extra.status, 403);
+  assert.match(extra.data.error, /Comment limit reached/);
+
+  const reply = await post(`/api/comments/${ids[0]}/replies`, { body: 'A reply' });
+  assert.equal(reply.status, 201);
+
+  for (const id of [...ids, reply.data.id]) {
+    deleteComment(getCommentById.get(id));
+  }
+});
+
+test('deleteComment keeps a placeholder for a comment with replies', async () => {
+  const parentId = await postComment('parent');
+  const { data } = await post(`/api/comments/${parentId}/replies`, { body: 'Reply' });
+
+  deleteComment(getCommentById.get(parentId));
+  const placeholder = getCommentById.get(parentId);
+  assert.ok(placeholder.deleted_at);
+  assert.equal(placeholder.title, '');
+  assert.equal(placeholder.body, '');
+
+  // Removing the last reply takes the empty placeholder with it
+  deleteComment(getCommentById.get(data.id));
+  assert.equal(getCommentById.get(data.id), undefined);
+  assert.equal(getCommentById.get(parentId), undefined);
+});
+
+test('deleteComment removes a comment without replies outright', async () => {
+  const id = await postComment('leaf');
+
+  deleteComment(getCommentById.get(id));
+  assert.equal(getCommentById.get(id), undefined);
+});
+
+test('controversy favours many votes split evenly', () => {
+  assert.equal(controversy(0, 0), 0);
+  assert.equal(controversy(5, 0), 0);
+  assert.equal(controversy(3, 3), 6);
+  assert.ok(controversy(10, 10) > controversy(10, 5));
+  assert.equal(controversy(2, 4), controversy(4, 2));
+});
+
+test('toCommentSearchQuery quotes each word as a prefix', () => {
+  assert.equal(toCommentSearchQuery('great album'), '"great"* "album"*');
+  assert.equal(toCommentSearchQuery('NOT "x" OR y*'), '"NOT"* "x"* "OR"* "y"*');
+  assert.equal(toCommentSearchQuery('?!'), null);
+});
+
+test('comment pages follow the cursor in every sort order', async () => {
+  const ids = [];
+  for (let n = 1; n <= 5; n++) {
+    ids.push(await postComment(n));
+  }
+
+  const voter = await startAppClient(server.app);
+  try {
+    await post('/api/auth/register', { username: 'voter', password: 'password123' }, voter);
+    await post(`/api/comments/${ids[1]}/vote`, { value: 1 }, voter);
+    await post(`/api/comments/${ids[3]}/vote`, { value: -1 }, voter);
+  } finally {
+    await voter.close();
+  }
+
+  assert.deepEqual(await readAllPages({ sort: 'newest' }), [...ids].reverse());
+  assert.deepEqual(await readAllPages({ sort: 'oldest' }), ids);
+  assert.deepEqual(
+    await readAllPages({ sort: 'top' }),
+    [ids[1], ids[4], ids[2], ids[0], ids[3]]
+  );
+  assert.deepEqual((await readAllPages({ sort: 'controversial' })).sort(), [...ids].sort());
+
+  for (const id of ids) {
+    deleteComment(getCommentById.get(id));
+  }
+});
+
+test('a cursor still works after its comment is deleted', async () => {
+  const ids = [];
+  for (let n = 1; n <= 4; n++) {
+    ids.push(await postComment(n));
+  }
+
+  const first = await client.request('/api/comments?sort=newest&limit=2');
+  const { comments, nextBefore } = await first.json();
+  assert.deepEqual(comments.map((comment) => comment.id), [ids[3], ids[2]]);
+
+  deleteComment(getCommentById.get(ids[2]));
+
+  const second = await client.request(`/api/comments?sort=newest&limit=2&before=${nextBefore}`);
+  assert.equal(second.status, 200);
+  assert.deepEqual((await second.json()).comments.map((comment) => comment.id), [ids[1], ids[0]]);
+
+  for (const id of [ids[0], ids[1], ids[3]]) {
+    deleteComment(getCommentById.get(id));
+  }
+});
+
+test('a malformed cursor is rejected', async () => {
+  for (const before of ['12', 'abc:1', '1:', ':1', '1:0', '1:2.5']) {
+    const response = await client.request(`/api/comments?before=${encodeURIComponent(before)}`);
+    assert.equal(response.status, 400, before);
+  }
+});
+
+test('the comment limit applies to each discussion separately', async () => {
+  const artistThread = '/api/artists/0TnOYISbd1XYRBk9myaseg/comments';
+  const ids = [];
+  for (let n = 1; n <= 5; n++) {
+    ids.push(await postComment(n));
+  }
+
+  for (let n = 1; n <= 5; n++) {
+    const { status, data } = await post(artistThread, { title: `Artist ${n}`, body: 'Body' });
+    assert.equal(status, 201);
+    ids.push(data.id);
+  }
+
+  assert.equal((await post(artistThread, { title: 'One more', body: 'Body' })).status, 403);
+  assert.equal((await post('/api/comments', { title: 'One more', body: 'Body' })).status, 403);
+
+  for (const id of ids) {
+    deleteComment(getCommentById.get(id));
+  }
+});
+
+test('artist discussions are paged with the same cursor', async () => {
+  const artistThread = '/api/artists/0TnOYISbd1XYRBk9myaseg/comments';
+  const ids = [];
+  for (let n = 1; n <= 3; n++) {
+    const { data } = await post(artistThread, { title: `Artist ${n}`, body: 'Body' });
+    ids.push(data.id);
+  }
+  const boardId = await postComment('board');
+
+  assert.deepEqual(await readAllPages({ sort: 'newest' }, artistThread), [...ids].reverse());
+  assert.deepEqual(await readAllPages({ sort: 'oldest' }, artistThread), ids);
+
+  const response = await client.request(`${artistThread}?before=nonsense`);
+  assert.equal(response.status, 400);
+
+  for (const id of [...ids, boardId]) {
+    deleteComment(getCommentById.get(id));
+  }
+});
+
+test('posting without a body is a 400', async () => {
+  const parentId = await postComment('parent');
+
+  for (const path of ['/api/comments', `/api/comments/${parentId}/replies`]) {
+    const response = await client.request(path, { method: 'POST' });
+    assert.equal(response.status, 400, path);
+  }
+
+  deleteComment(getCommentById.get(parentId));
+});
+
+test('editing without a body is a 400', async () => {
+  const id = await postComment('edit');
+
+  const response = await client.request(`/api/comments/${id}`, { method: 'PATCH' });
+  assert.equal(response.status, 400);
+  assert.equal(getCommentById.get(id).body, 'Body');
+
+  deleteComment(getCommentById.get(id));
+});
+
+test('voting without a body is a 400', async () => {
+  const id = await postComment('vote');
+
+  const voter = await startAppClient(server.app);
+  try {
+    await voter.request('/api/auth/login', {
+      method: 'POST',
+      body: { username: 'voter', password: 'password123' },
+    });
+    const response = await voter.request(`/api/comments/${id}/vote`, { method: 'POST' });
+    assert.equal(response.status, 400);
+  } finally {
+    await voter.close();
+  }
+
+  deleteComment(getCommentById.get(id));
+});
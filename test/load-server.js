@@ -0,0 +1,7 @@
+// load-server.js - Imports server.js for its exported helpers without starting
+// it, against an in-memory database. Set any other env before importing this.
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.SESSION_SECRET ||= 'test-secret';
+
+export const server = await import('../server.js');
@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSpotifyStandIn } from './spotify-stand-in.js';
+import { startAppClient } from './app-client.js';
+
+const standIn = await startSpotifyStandIn();
+process.env.SPOTIFY_API_URL = `${standIn.url}/web-api`;
+process.env.SPOTIFY_ACCOUNTS_URL = `${standIn.url}/accounts`;
+process.env.SPOTIFY_CLIENT_ID = 'client-id';
+process.env.SPOTIFY_CLIENT_SECRET = 'client-secret';
+
+const { server } = await import('./load-server.js');
+
+const ARTIST_ID = '0TnOYISbd1XYRBk9myaseg';
+let client;
+let tokenCount = 0;
+
+// How each test wants the playlist calls answered; everything else behaves
+let playlistReplies;
+
+function spotify({ method, path }) {
+  if (path === '/accounts/api/token') {
+    tokenCount += 1;
+    return {
+      body: {
+        access_token: `token-${tokenCount}`,
+        refresh_token: 'refresh-token',
+        expires_in: 3600,
+        scope: 'user-top-read playlist-modify-private',
+      },
+    };
+  }
+  if (path === '/web-api/v1/me') {
+    return { body: { id: 'listener', country: 'GB' } };
+  }
+  if (path === `/web-api/v1/artists/${ARTIST_ID}`) {
+    return {
+      body: {
+        id: ARTIST_ID,
+        name: 'Test Artist',
+        genres: [],
+        images: [],
+        popularity: 50,
+        followers: { total: 1 },
+        external_urls: { spotify: 'https://open.spotify.com/artist/test' },
+      },
+    };
+  }
+  if (path.startsWith(`/web-api/v1/artists/${ARTIST_ID}/top-tracks`)) {
+    const tracks = [1, 2, 3].map((n) => ({
+      id: `track${n}`,
+      name: `Track ${n}`,
+      album: { id: 'album', name: 'Album', images: [] },
+      artists: [],
+      duration_ms: 1000,
+      external_urls: { spotify: `https://open.spotify.com/track/track${n}` },
+    }));
+    return { body: { tracks } };
+  }
+  if (method === 'POST' && path === '/web-api/v1/users/listener/playlists') {
+    return { status: 201, body: { id: 'playlist1', name: 'Test Artist — Top Tracks', external_urls: { spotify: 'https://open.spotify.com/playlist/playlist1' } } };
+  }
+  if (method === 'POST' && path === '/web-api/v1/playlists/playlist1/tracks') {
+    return playlistReplies.addTracks.shift() || { status: 201, body: { snapshot_id: 'snapshot' } };
+  }
+  if (method === 'DELETE' && path === '/web-api/v1/playlists/playlist1/followers') {
+    return playlistReplies.unfollow;
+  }
+  return null;
+}
+
+const calls = (method, path) =>
+  standIn.requests.filter((request) => request.method === method && request.path === path).length;
+
+before(async () => {
+  standIn.handler = spotify;
+  client = await startAppClient(server.app);
+
+  // Log in through the real OAuth redirect and callback
+  const login = await client.request('/auth/spotify?playlists=1');
+  const authorize = new URL(login.headers.get('location'));
+  assert.equal(authorize.origin + authorize.pathname, `${standIn.url}/accounts/authorize`);
+
+  const callback = await client.request(`/auth/spotify/callback?code=once&state=${authorize.searchParams.get('state')}`);
+  assert.equal(callback.headers.get('location'), '/?auth=success');
+});
+
+beforeEach(() => {
+  standIn.requests.length = 0;
+  playlistReplies = { addTracks: [], unfollow: { status: 200 } };
+});
+
+after(async () => {
+  await client.close();
+  await standIn.close();
+});
+
+const savePlaylist = () =>
+  client.request('/api/playlists?market=GB', { method: 'POST', body: { source: 'artist', artistId: ARTIST_ID } });
+
+test('the authorization code is exchanged exactly once at login', () => {
+  assert.equal(tokenCount, 1);
+});
+
+test('a 401 while adding tracks refreshes the token without creating a second playlist', async () => {
+  playlistReplies.addTracks = [{ status: 401, body: { error: 'expired' } }];
+
+  const response = await savePlaylist();
+  const data = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(data.playlist.trackCount, 3);
+  assert.equal(calls('POST', '/web-api/v1/users/listener/playlists'), 1);
+  assert.equal(calls('POST', '/web-api/v1/playlists/playlist1/tracks'), 2);
+  assert.equal(calls('POST', '/accounts/api/token'), 1);
+});
+
+test('a playlist whose tracks cannot be added is removed again', async () => {
+  playlistReplies.addTracks = [{ status: 403, body: { error: 'forbidden' } }];
+
+  const response = await savePlaylist();
+
+  assert.equal(response.status, 403);
+  assert.equal(calls('POST', '/web-api/v1/users/listener/playlists'), 1);
+  assert.equal(calls('DELETE', '/web-api/v1/playlists/playlist1/followers'), 1);
+});
+
+test('an incomplete playlist that cannot be removed is reported with its id', async () => {
+  playlistReplies.addTracks = [{ status: 400, body: { error: 'bad uris' } }];
+  playlistReplies.unfollow = { status: 403, body: { error: 'forbidden' } };
+
+  const response = await savePlaylist();
+  const data = await response.json();
+
+  assert.equal(response.status, 502);
+  assert.equal(data.error, 'PLAYLIST_INCOMPLETE');
+  assert.equal(data.playlist.id, 'playlist1');
+  assert.equal(data.playlist.trackCount, 0);
+});
@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSpotifyStandIn } from './spotify-stand-in.js';
+
+const standIn = await startSpotifyStandIn();
+process.env.SPOTIFY_API_URL = `${standIn.url}/web-api`;
+
+const { server } = await import('./load-server.js');
+
+const {
+  releaseDateEnd,
+  isReleaseCheckDue,
+  isCalendarDate,
+  getReleasesSince,
+  upsertRelease,
+  getArtistReleases,
+} = server;
+
+after(() => standIn.close());
+
+const HOUR = 60 * 60 * 1000;
+
+test('releaseDateEnd pads year and month precision dates to the end of the period', () => {
+  assert.equal(releaseDateEnd('2024'), '2024-12-31');
+  assert.equal(releaseDateEnd('2024-02'), '2024-02-29');
+  assert.equal(releaseDateEnd('2023-02'), '2023-02-28');
+  assert.equal(releaseDateEnd('2024-11'), '2024-11-30');
+  assert.equal(releaseDateEnd('2024-05-17'), '2024-05-17');
+});
+
+test('an artist checked on the previous timer tick is due on this one', () => {
+  const now = Date.now();
+
+  assert.equal(isReleaseCheckDue(undefined, now), true);
+  assert.equal(isReleaseCheckDue(now - 6 * HOUR, now), true);
+  // Stamped a few seconds after the previous tick fired
+  assert.equal(isReleaseCheckDue(now - 6 * HOUR + 5000, now), true);
+  assert.equal(isReleaseCheckDue(now - 3 * HOUR, now), false);
+});
+
+test('/api/releases date filtering keeps partial release dates', () => {
+  const release = {
+    artist_id: 'artist',
+    artist_name: 'Artist',
+    album_type: 'album',
+    total_tracks: 10,
+    images: '[]',
+    spotify_url: '',
+  };
+  upsertRelease.run({ ...release, id: 'full', name: 'Full date', release_date: '2030-06-15' });
+  upsertRelease.run({ ...release, id: 'month', name: 'Month only', release_date: '2030-06' });
+  upsertRelease.run({ ...release, id: 'year', name: 'Year only', release_date: '2030' });
+  upsertRelease.run({ ...release, id: 'old', name: 'Old', release_date: '2029-12-31' });
+
+  const ids = getReleasesSince.all('2030-06-10', 10).map((row) => row.id);
+
+  assert.deepEqual(ids, ['year', 'month', 'full']);
+});
+
+test('isCalendarDate only accepts real YYYY-MM-DD dates', () => {
+  assert.equal(isCalendarDate('2024-02-29'), true);
+  assert.equal(isCalendarDate('2024-02-30'), false);
+  assert.equal(isCalendarDate('2023-02-29'), false);
+  assert.equal(isCalendarDate('2024-13-01'), false);
+  assert.equal(isCalendarDate('2024-2-1'), false);
+  assert.equal(isCalendarDate(['2024-02-01']), false);
+});
+
+test('new singles are found for an artist with a long album list', async () => {
+  standIn.handler = ({ path }) => {
+    const group = new URL(path, standIn.url).searchParams.get('include_groups');
+    const items = group === 'single'
+      ? [{ id: 'single', name: 'New single', album_type: 'single', release_date: '2030-06-01' }]
+      : Array.from({ length: 10 }, (_, n) => ({
+        id: `album${n}`,
+        name: `Album ${n}`,
+        album_type: 'album',
+        release_date: `20${10 + n}-01-01`,
+      }));
+    return { body: { items } };
+  };
+
+  const releases = await getArtistReleases('token', { id: 'artist', name: 'Artist' });
+
+  assert.equal(standIn.requests.length, 2);
+  assert.equal(releases.length, 10);
+  assert.equal(releases[0].id, 'single');
+});
@@ -0,0 +1,89 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSpotifyStandIn } from './spotify-stand-in.js';
+
+// The client reads its base URLs when it is first imported
+const standIn = await startSpotifyStandIn();
+process.env.SPOTIFY_API_URL = `${standIn.url}/web-api`;
+process.env.SPOTIFY_ACCOUNTS_URL = `${standIn.url}/accounts`;
+
+const {
+  fetchSpotifyData,
+  requestSpotifyToken,
+  spotifyRequest,
+  httpStatusForError,
+  SpotifyApiError,
+  SpotifyRateLimitError,
+  SpotifyTimeoutError,
+  SpotifyUnavailableError,
+} = await import('../spotify-client.js');
+
+beforeEach(() => {
+  standIn.requests.length = 0;
+});
+
+after(() => standIn.close());
+
+test('httpStatusForError maps each failure to the status our API answers with', () => {
+  assert.equal(httpStatusForError(new SpotifyTimeoutError('slow')), 504);
+  assert.equal(httpStatusForError(new SpotifyRateLimitError('busy', { status: 429 })), 503);
+  assert.equal(httpStatusForError(new SpotifyUnavailableError('down')), 503);
+  assert.equal(httpStatusForError(new SpotifyApiError('bad', { status: 400 })), 400);
+  assert.equal(httpStatusForError(new SpotifyApiError('missing', { status: 404 })), 404);
+  assert.equal(httpStatusForError(new SpotifyApiError('forbidden', { status: 403 })), 502);
+  assert.equal(httpStatusForError(new SpotifyApiError('broken', { status: 500 })), 502);
+  assert.equal(httpStatusForError(new Error('anything else')), 500);
+});
+
+test('requests keep the base path of a configured API URL', async () => {
+  standIn.handler = () => ({ body: { id: 'abc' } });
+
+  const artist = await fetchSpotifyData('token', '/v1/artists/abc');
+
+  assert.deepEqual(artist, { id: 'abc' });
+  assert.equal(standIn.requests[0].path, '/web-api/v1/artists/abc');
+  assert.equal(standIn.requests[0].headers.authorization, 'Bearer token');
+});
+
+test('server errors are retried until Spotify answers', async () => {
+  let calls = 0;
+  standIn.handler = () => (++calls === 1 ? { status: 502, body: {} } : { body: { ok: true } });
+
+  const result = await fetchSpotifyData('token', '/v1/me');
+
+  assert.deepEqual(result, { ok: true });
+  assert.equal(standIn.requests.length, 2);
+});
+
+test('client errors are not retried', async () => {
+  standIn.handler = () => ({ status: 400, body: { error: 'invalid id' } });
+
+  await assert.rejects(fetchSpotifyData('token', '/v1/artists/nope'), (error) => {
+    assert.ok(error instanceof SpotifyApiError);
+    assert.equal(error.status, 400);
+    return true;
+  });
+  assert.equal(standIn.requests.length, 1);
+});
+
+test('an authorization code exchange with retries: 0 is sent exactly once', async () => {
+  standIn.handler = () => ({ status: 500, body: { error: 'server_error' } });
+
+  await assert.rejects(
+    requestSpotifyToken('id', 'secret', { grant_type: 'authorization_code', code: 'once' }, { retries: 0 }),
+    SpotifyApiError
+  );
+
+  assert.equal(standIn.requests.length, 1);
+  assert.equal(standIn.requests[0].path, '/accounts/api/token');
+  assert.match(standIn.requests[0].body, /code=once/);
+});
+
+test('a response that keeps trickling in still times out', async () => {
+  standIn.handler = () => ({ body: { padding: 'x'.repeat(50) }, trickleMs: 20 });
+
+  await assert.rejects(
+    spotifyRequest({ path: '/v1/slow', timeout: 200, retries: 0 }),
+    SpotifyTimeoutError
+  );
+});
@@ -0,0 +1,55 @@
+// spotify-stand-in.js - A local HTTP server that plays the part of the Spotify
+// Web API and Accounts service in tests. Point SPOTIFY_API_URL and
+// SPOTIFY_ACCOUNTS_URL at it before importing the client or server.
+//
+// The handler gets { method, path, body } for each request and returns
+// { status, body, headers }; returning nothing answers 404. A reply with
+// trickleMs sends its body one character at a time, that many ms apart.
+// Every request is recorded in `requests`, in order.
+
+import http from 'http';
+
+export async function startSpotifyStandIn(handler = () => null) {
+  const standIn = {
+    handler,
+    requests: [],
+    url: null,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body: data };
+      standIn.requests.push(request);
+
+      const reply = standIn.handler(request) || { status: 404, body: { error: 'not found' } };
+      const text = reply.body === undefined ? '' : JSON.stringify(reply.body);
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+
+      if (!reply.trickleMs) {
+        res.end(text);
+        return;
+      }
+
+      let sent = 0;
+      const timer = setInterval(() => {
+        if (sent < text.length) {
+          res.write(text[sent++]);
+        } else {
+          res.end();
+        }
+      }, reply.trickleMs);
+      res.on('close', () => clearInterval(timer));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  standIn.url = `http://127.0.0.1:${server.address().port}`;
+  return standIn;
+}